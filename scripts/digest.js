@@ -0,0 +1,216 @@
+#!/usr/bin/env node
+
+/**
+ * Write a leaderboard digest for a region and period
+ *
+ * Run after scripts/extract-history.js. Reads the region's extracted history
+ * and team registry from DATA_DIR and writes the digest (climbers, fallers,
+ * roster moves, rebrands, new entries into and exits from the top scope; see
+ * scripts/lib/digest.js) to OUTPUT_DIR as Markdown and HTML:
+ *   - <region>-<from>-<to>.md
+ *   - <region>-<from>-<to>.html
+ *
+ * The period is the last --days days up to --until (default: the newest
+ * snapshot), so the Monday write-up is just `node scripts/digest.js`. The
+ * recent history only goes back MAX_DAYS (see scripts/extract-history.js);
+ * longer periods start at its first snapshot.
+ *
+ * Run with --help for the command line options.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+const HistoryCodec = require("../web/js/history-codec");
+const Regions = require("../web/js/regions");
+const Stats = require("../web/js/stats");
+const {
+  buildDigest,
+  renderMarkdown,
+  renderHtml,
+  DEFAULT_OPTIONS,
+} = require("./lib/digest");
+
+// Configuration
+const CONFIG = {
+  DATA_DIR: "web/data", // Output of scripts/extract-history.js
+  OUTPUT_DIR: "digests",
+  REGION: Regions.getDefault().id,
+  DAYS: 7, // Length of the period
+  UNTIL: null, // End of the period (default: the newest snapshot)
+  DIGEST_OPTIONS: { ...DEFAULT_OPTIONS },
+};
+
+const USAGE = `Usage: node scripts/digest.js [options]
+
+  --region <id>   Region or "world" (default ${CONFIG.REGION})
+  --days <n>      Length of the period in days (default ${CONFIG.DAYS})
+  --until <date>  End of the period (default: the newest snapshot)
+  --scope <n>     Top N the digest is about (default ${CONFIG.DIGEST_OPTIONS.scope})
+  --count <n>     Players per climbers/fallers table (default ${CONFIG.DIGEST_OPTIONS.count})
+  --pros-only     Only players with a team in the climbers/fallers
+  --data <dir>    Extracted data directory (default ${CONFIG.DATA_DIR})
+  --out <dir>     Output directory (default ${CONFIG.OUTPUT_DIR})
+  --help          Show this help`;
+
+/**
+ * Parse a command line value that must be a positive integer
+ */
+function parsePositiveInt(flag, value) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number <= 0) {
+    throw new Error(`${flag} must be a positive integer, got "${value}"`);
+  }
+  return number;
+}
+
+/**
+ * Parse the command line into CONFIG
+ * @returns {boolean} false when only the help was asked for
+ */
+function applyOptions(args) {
+  const { values: options } = parseArgs({
+    args,
+    options: {
+      region: { type: "string" },
+      days: { type: "string" },
+      until: { type: "string" },
+      scope: { type: "string" },
+      count: { type: "string" },
+      "pros-only": { type: "boolean" },
+      data: { type: "string" },
+      out: { type: "string" },
+      help: { type: "boolean" },
+    },
+  });
+  if (options.help) return false;
+
+  if (options.region) {
+    if (!Regions.getView(options.region)) {
+      throw new Error(`Unknown or disabled region: ${options.region}`);
+    }
+    CONFIG.REGION = options.region;
+  }
+  if (options.days !== undefined) {
+    CONFIG.DAYS = parsePositiveInt("--days", options.days);
+  }
+  if (options.until !== undefined) {
+    if (Number.isNaN(Date.parse(options.until))) {
+      throw new Error(`--until must be a date, got "${options.until}"`);
+    }
+    CONFIG.UNTIL = options.until;
+  }
+  if (options.scope !== undefined) {
+    CONFIG.DIGEST_OPTIONS.scope = parsePositiveInt("--scope", options.scope);
+  }
+  if (options.count !== undefined) {
+    CONFIG.DIGEST_OPTIONS.count = parsePositiveInt("--count", options.count);
+  }
+  CONFIG.DIGEST_OPTIONS.prosOnly = Boolean(options["pros-only"]);
+  if (options.data) CONFIG.DATA_DIR = options.data;
+  if (options.out) CONFIG.OUTPUT_DIR = options.out;
+  return true;
+}
+
+/**
+ * Read a JSON file, or null when it is missing or unreadable
+ */
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Get the snapshots of the period
+ * @param {Array} snapshots - Oldest to newest
+ */
+function getPeriodSnapshots(snapshots) {
+  const end = CONFIG.UNTIL
+    ? new Date(CONFIG.UNTIL).getTime()
+    : new Date(snapshots[snapshots.length - 1].timestamp).getTime();
+  const start = end - CONFIG.DAYS * 24 * 60 * 60 * 1000;
+
+  return snapshots.filter((snapshot) => {
+    const time = new Date(snapshot.timestamp).getTime();
+    return time >= start && time <= end;
+  });
+}
+
+/**
+ * Describe the period for the title, e.g. "Weekly Digest"
+ */
+function getTitle(view) {
+  const period =
+    { 1: "Daily", 7: "Weekly" }[CONFIG.DAYS] || `${CONFIG.DAYS}-Day`;
+  return `${view.fullName} Leaderboard ${period} Digest`;
+}
+
+/**
+ * Write a digest file and log its size
+ */
+function writeDigestFile(outputPath, content) {
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, content);
+
+  const fileSizeKB = (Buffer.byteLength(content) / 1024).toFixed(1);
+  console.log(`💾 Written to ${outputPath} (${fileSizeKB} KB)`);
+}
+
+/**
+ * Main digest function
+ */
+function digest() {
+  if (!applyOptions(process.argv.slice(2))) {
+    console.log(USAGE);
+    return;
+  }
+
+  const view = Regions.getView(CONFIG.REGION);
+  const history = readJson(
+    path.join(CONFIG.DATA_DIR, `history-${view.id}.json`)
+  );
+  if (!history) {
+    throw new Error(`No ${view.id} history in ${CONFIG.DATA_DIR}`);
+  }
+
+  Stats.setIdentities(history.identities);
+  const snapshots = getPeriodSnapshots(HistoryCodec.decode(history));
+  if (snapshots.length < 2) {
+    throw new Error(
+      `Fewer than 2 ${view.id} snapshots in the ${CONFIG.DAYS} days to ${
+        CONFIG.UNTIL || "the newest snapshot"
+      }`
+    );
+  }
+
+  const registry = readJson(
+    path.join(CONFIG.DATA_DIR, `teams-${view.id}.json`)
+  );
+  const report = buildDigest(snapshots, registry ? registry.teams : null, {
+    ...CONFIG.DIGEST_OPTIONS,
+    title: getTitle(view),
+  });
+
+  console.log(
+    `📰 ${report.title}: ${snapshots[0].timestamp} → ${
+      snapshots[snapshots.length - 1].timestamp
+    }`
+  );
+
+  const from = snapshots[0].timestamp.slice(0, 10);
+  const to = snapshots[snapshots.length - 1].timestamp.slice(0, 10);
+  const base = path.join(CONFIG.OUTPUT_DIR, `${view.id}-${from}-${to}`);
+  writeDigestFile(`${base}.md`, renderMarkdown(report));
+  writeDigestFile(`${base}.html`, renderHtml(report));
+}
+
+// Run
+try {
+  digest();
+} catch (error) {
+  console.error("Fatal error:", error.message);
+  process.exit(1);
+}
@@ -10,25 +10,364 @@
  *   - history-china.json
  *
  * These files are loaded by the web app based on the selected region.
+ * By default they use the compact format (see web/js/history-codec.js);
+ * set OUTPUT_FORMAT to "legacy" for full player objects per snapshot.
+ *
+ * The same history is also split into weekly chunks under web/data/<region>/
+ * with a manifest.json listing each chunk's date range and content hash, so
+ * the web app can render the latest chunk first and fetch older ones on demand.
+ *
+ * A long-term archive with one snapshot per day over the entire git history
+ * is written to web/data/archive/ (one file per region and year, plus an
+ * index per region). The web app loads it lazily for all-time views.
+ *
+ * Player IDs are resolved across renames and country changes over the
+ * archive and recent history together (see scripts/lib/identities.js), and
+ * the identities with more than one name are listed in the output. Manual
+ * merges, splits and pinned names from leaderboard/identities.json are
+ * applied on top, and overrides that match nothing are reported.
+ *
+ * Snapshot timestamps are the API's post time from the leaderboard/<region>
+ * .meta.json sidecar written by scripts/fetch-leaderboard.js, with the
+ * commit time kept as `fetchedAt`. Older commits without a sidecar fall back
+ * to the commit time. Snapshots sharing a post time are merged into one.
+ *
+ * Every snapshot is validated (truncation, duplicate ranks, rank gaps, roster
+ * turnover; see scripts/lib/validation.js). Bad snapshots are left out of
+ * the output and listed in QUARANTINE_REPORT. Pass --strict to exit non-zero
+ * when anything was quarantined.
+ *
+ * Parsed snapshots are cached per commit hash in CACHE_DIR, so only commits
+ * not seen by a previous run are read from git. Pass --rebuild to ignore
+ * the cache and do a full pass. The cache only saves the git reads:
+ * sampling, validation, identity resolution, the player index, teams, API,
+ * pages, cards, feeds and aggregates are recomputed over the whole timeline
+ * on every run, so a warm run still grows with the history. The recent
+ * history is bounded by MAX_DAYS and MAX_SNAPSHOTS; the daily archive (one
+ * snapshot per day once sampled) is what keeps growing.
+ *
+ * Blobs are streamed through one `git cat-file --batch` process per region.
+ * Pass --benchmark to also time the old per-commit `git show` approach on a
+ * sample of commits and print the estimated speedup.
+ *
+ * A player index (players-<region>.json) summarizes every player over the
+ * archive and history: names, first/last seen, best/worst/average and current
+ * rank, time in the top 10/100 and team history (see
+ * scripts/lib/player-index.js).
+ *
+ * The same rows, plus each player's team and rank history, are published as
+ * a static JSON API with one file per player under API_DIR (see
+ * scripts/lib/player-api.js).
+ *
+ * A team registry (teams-<region>.json) maps every team_id to its tag history
+ * and roster over time, so the web app can tell a team renaming its tag from
+ * its players transferring (see scripts/lib/teams.js).
+ *
+ * Notable events over the last days of the history (new #1, top 10 entries
+ * and exits, big jumps, team changes) are published as an Atom feed per
+ * region under FEEDS_DIR, with entry IDs that survive rebuilds (see
+ * scripts/lib/events.js).
+ *
+ * Players who reached PAGE_MAX_RANK get a static page under PAGES_DIR, a
+ * copy of web/index.html with their own title, description and Open Graph
+ * tags that opens the app on their player modal. The pages are listed in
+ * SITEMAP_FILE, a copy of SITEMAP_TEMPLATE with an entry per page (see
+ * scripts/lib/player-pages.js).
+ *
+ * Share cards for link previews are written under CARDS_DIR: one per player
+ * page (current and best rank, rank sparkline), which the page uses as its
+ * og:image, and one per region and day for the last CARD_DAYS days with that
+ * day's biggest winners and losers. They are SVG, plus PNG when an SVG
+ * rasterizer is installed (see scripts/lib/share-cards.js).
+ *
+ * Winners and losers for the standard time scopes and rank scopes are
+ * precomputed into aggregates-<region>.json with the web app's own
+ * web/js/stats.js, so the app only computes custom windows itself.
+ *
+ * Regions with a `bandDepth` (web/js/regions.js) also have their ranks past
+ * TOP_PLAYERS in leaderboard/<region>.bands.json. For the last BAND_MAX_DAYS
+ * those are read in the same pass as the history and written as rank bands
+ * under web/data/<region>/band-<first>-<last>/, chunked like the history.
+ * The web app only fetches a band when the user pages past the top 500.
+ *
+ * When every enabled region is extracted, their top WORLD_TOP_PLAYERS are
+ * also merged into a cross-region "world" view (history, chunks, archive,
+ * player index and aggregates under the id `world`), with snapshots taken
+ * at slightly different times aligned per sampling bucket (see
+ * scripts/lib/world.js).
+ *
+ * Players who left one region's board and turned up on another's are listed
+ * in MIGRATIONS_FILE, also only when every enabled region is extracted (see
+ * scripts/lib/migrations.js).
+ *
+ * Run with --help for the command line options (regions, date range, depth,
+ * output directory and format, dry runs and a JSON summary).
  */
 
 const { execSync } = require("child_process");
+const crypto = require("crypto");
 const fs = require("fs");
 const path = require("path");
+const { parseArgs } = require("util");
+const HistoryCodec = require("../web/js/history-codec");
+const Regions = require("../web/js/regions");
+const Stats = require("../web/js/stats");
+const { openBlobReader } = require("./lib/blob-reader");
+const {
+  resolveIdentities,
+  applyIdentities,
+  prepareOverrides,
+  applyMerges,
+  getUnmatchedOverrides,
+} = require("./lib/identities");
+const { validateSnapshots, DEFAULT_RULES } = require("./lib/validation");
+const { buildPlayerIndex } = require("./lib/player-index");
+const PlayerApi = require("./lib/player-api");
+const { buildTeamRegistry } = require("./lib/teams");
+const { detectEvents } = require("./lib/events");
+const { renderAtomFeed } = require("./lib/atom");
+const { renderPlayerPage, renderSitemap } = require("./lib/player-pages");
+const {
+  renderPlayerCard,
+  renderMoversCard,
+  findRasterizer,
+  rasterize,
+} = require("./lib/share-cards");
+const { buildWorld } = require("./lib/world");
+const {
+  detectMigrations,
+  DEFAULT_OPTIONS: MIGRATION_DEFAULTS,
+} = require("./lib/migrations");
 
 // Configuration
 const CONFIG = {
   MAX_DAYS: 140, // How many days of history to include
-  MAX_SNAPSHOTS: 3360, // Maximum snapshots (140 days * 24 hours)
-  REGIONS: [
-    { id: "europe", file: "leaderboard/europe.json" },
-    { id: "americas", file: "leaderboard/americas.json" },
-    { id: "sea", file: "leaderboard/sea.json" },
-    { id: "china", file: "leaderboard/china.json" },
+  SINCE: null, // Explicit start date (overrides MAX_DAYS), set by --since
+  UNTIL: null, // Explicit end date (default: now), set by --until
+  TOP_PLAYERS: 500, // Players kept per snapshot
+  MAX_SNAPSHOTS: 3360, // Safety cap on snapshots after sampling (newest are kept)
+  // Time-tiered sampling, finest first. Commits up to `maxAgeDays` old are
+  // bucketed into `intervalHours` windows and the latest commit per bucket is
+  // kept. `resolution` is recorded on each snapshot for the Timeline label.
+  SAMPLING_TIERS: [
+    { resolution: "hourly", maxAgeDays: 30, intervalHours: 1 },
+    { resolution: "4-hourly", maxAgeDays: 90, intervalHours: 4 },
+    { resolution: "daily", maxAgeDays: Infinity, intervalHours: 24 },
   ],
+  // Enabled regions from web/js/regions.js
+  REGIONS: Regions.getEnabled().map((region) => ({
+    id: region.id,
+    file: `leaderboard/${region.id}.json`,
+    bandsFile: `leaderboard/${region.id}.bands.json`,
+    bandDepth: region.bandDepth || null,
+  })),
   OUTPUT_DIR: "web/data",
+  CHUNK_DAYS: 7, // Length of each history chunk (aligned to Mondays, UTC)
+  // Last rank of each band past TOP_PLAYERS, cut off at the region's bandDepth
+  RANK_BANDS: [1000, 2000, 3000, 4000, 5000],
+  BAND_MAX_DAYS: 30, // Days of recent history that get rank bands
+  ARCHIVE_DIR: "web/data/archive",
+  ARCHIVE_TIERS: [
+    { resolution: "daily", maxAgeDays: Infinity, intervalHours: 24 },
+  ],
+  CACHE_DIR: ".cache/extract-history",
+  CACHE_VERSION: 2, // Bump when the parsed snapshot shape changes
+  OUTPUT_FORMAT: "compact", // "compact" or "legacy"
+  KEYFRAME_INTERVAL: 24, // Max snapshots between full player lists (compact format)
+  BENCHMARK_SAMPLE: 20, // Commits timed with `git show` when --benchmark is set
+  IDENTITY_OPTIONS: {}, // Overrides for the link thresholds in scripts/lib/identities.js
+  IDENTITY_OVERRIDES_FILE: "leaderboard/identities.json", // Manual merges, splits and names
+  VALIDATION_RULES: {}, // Overrides for the rules in scripts/lib/validation.js
+  PLAYER_INDEX_OPTIONS: {}, // Overrides for scripts/lib/player-index.js
+  // Winners/losers precomputed per time scope select value and rank scope
+  AGGREGATE_WINDOWS: ["1", "7", "30", "180", "all"],
+  AGGREGATE_SCOPES: [10, 20, 50, 100, 200, 500],
+  AGGREGATE_COUNT: 5, // Players per list (as many as the app shows)
+  QUARANTINE_REPORT: "web/data/quarantine.json",
+  API_DIR: `web/data/api/v${PlayerApi.SCHEMA_VERSION}`, // Static player API
+  WORLD_TOP_PLAYERS: 100, // Players per region in the World view
+  WORLD_OPTIONS: {}, // Overrides for the alignment in scripts/lib/world.js
+  MIGRATIONS_FILE: "web/data/migrations.json", // Players moving between regions
+  MIGRATION_OPTIONS: {}, // Overrides for scripts/lib/migrations.js
+  SITE_URL: "https://maakep.github.io/dota2-leaderboard/",
+  FEEDS_DIR: "web/feeds", // Atom feed of notable events per region
+  FEED_TAG: "tag:maakep.github.io,2026:dota2-leaderboard", // Entry ID prefix
+  FEED_OPTIONS: {}, // Overrides for scripts/lib/events.js
+  PAGE_TEMPLATE: "web/index.html", // Static player pages are copies of it
+  PAGES_DIR: "web/player", // player/<region>/<slug>/index.html
+  PAGE_MAX_RANK: 100, // Players who got at least this high get a page
+  SITEMAP_TEMPLATE: "web/sitemap.template.xml", // Entries of SITEMAP_FILE
+  SITEMAP_FILE: "web/sitemap.xml", // Plus one entry per player page
+  CARDS_DIR: "web/cards", // Share cards (og:image) for players and movers
+  CARD_DAYS: 7, // Days that get a movers card, counted back from the newest
+};
+
+// Command line switches (see USAGE)
+const FLAGS = {
+  rebuild: false,
+  benchmark: false,
+  strict: false,
+  dryRun: false,
+  jsonSummary: false,
+  customWindow: false, // --since/--until/--max-days given: keep the cache unpruned
 };
 
+const USAGE = `Usage: node scripts/extract-history.js [options]
+
+  --region <id>         Only extract this region (repeatable)
+  --since <date>        Only use commits from this date on (overrides --max-days)
+  --until <date>        Only use commits up to this date
+  --max-days <n>        Days of recent history (default ${CONFIG.MAX_DAYS})
+  --max-snapshots <n>   Cap on recent snapshots (default ${CONFIG.MAX_SNAPSHOTS})
+  --top <n>             Players kept per snapshot (default ${CONFIG.TOP_PLAYERS})
+  --out <dir>           Output directory (default ${CONFIG.OUTPUT_DIR})
+  --format <format>     "compact" or "legacy" (default ${CONFIG.OUTPUT_FORMAT})
+  --dry-run             Extract everything but write no files
+  --json-summary        Print a JSON summary on stdout (logs go to stderr)
+  --rebuild             Ignore the snapshot cache
+  --benchmark           Also time per-commit git show and print the speedup
+  --strict              Exit 1 when any snapshot is quarantined
+  --help                Show this help`;
+
+// Blob read timings per region, printed at the end of the run
+const timings = [];
+
+// Snapshots that failed validation, written to QUARANTINE_REPORT
+const quarantine = [];
+
+// Machine-readable run summary, printed with --json-summary
+const summary = { regions: [], files: [] };
+
+// SVG rasterizer for the share cards, looked up on first use
+let rasterizer;
+
+/**
+ * Parse command line options
+ */
+function parseOptions(args) {
+  return parseArgs({
+    args,
+    options: {
+      region: { type: "string", multiple: true },
+      since: { type: "string" },
+      until: { type: "string" },
+      "max-days": { type: "string" },
+      "max-snapshots": { type: "string" },
+      top: { type: "string" },
+      out: { type: "string" },
+      format: { type: "string" },
+      "dry-run": { type: "boolean" },
+      "json-summary": { type: "boolean" },
+      rebuild: { type: "boolean" },
+      benchmark: { type: "boolean" },
+      strict: { type: "boolean" },
+      help: { type: "boolean" },
+    },
+  }).values;
+}
+
+/**
+ * Parse a positive integer option value
+ */
+function parsePositiveInt(flag, value) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number <= 0) {
+    throw new Error(`${flag} must be a positive integer, got "${value}"`);
+  }
+  return number;
+}
+
+/**
+ * Apply parsed command line options to CONFIG and FLAGS
+ */
+function applyOptions(options) {
+  if (options.region) {
+    const unknown = options.region.filter(
+      (id) => !CONFIG.REGIONS.some((region) => region.id === id)
+    );
+    if (unknown.length > 0) {
+      throw new Error(`Unknown or disabled region: ${unknown.join(", ")}`);
+    }
+    CONFIG.REGIONS = CONFIG.REGIONS.filter((region) =>
+      options.region.includes(region.id)
+    );
+  }
+
+  for (const flag of ["since", "until"]) {
+    if (
+      options[flag] !== undefined &&
+      Number.isNaN(Date.parse(options[flag]))
+    ) {
+      throw new Error(`--${flag} must be a date, got "${options[flag]}"`);
+    }
+  }
+  CONFIG.SINCE = options.since || null;
+  CONFIG.UNTIL = options.until || null;
+
+  if (options["max-days"] !== undefined) {
+    CONFIG.MAX_DAYS = parsePositiveInt("--max-days", options["max-days"]);
+  }
+  if (options["max-snapshots"] !== undefined) {
+    CONFIG.MAX_SNAPSHOTS = parsePositiveInt(
+      "--max-snapshots",
+      options["max-snapshots"]
+    );
+  }
+  if (options.top !== undefined) {
+    CONFIG.TOP_PLAYERS = parsePositiveInt("--top", options.top);
+  }
+
+  if (options.out) {
+    CONFIG.OUTPUT_DIR = options.out;
+    CONFIG.ARCHIVE_DIR = path.join(options.out, "archive");
+    CONFIG.QUARANTINE_REPORT = path.join(options.out, "quarantine.json");
+    CONFIG.MIGRATIONS_FILE = path.join(options.out, "migrations.json");
+    CONFIG.FEEDS_DIR = path.join(options.out, "feeds");
+    CONFIG.PAGES_DIR = path.join(options.out, "player");
+    CONFIG.SITEMAP_FILE = path.join(options.out, "sitemap.xml");
+    CONFIG.CARDS_DIR = path.join(options.out, "cards");
+    CONFIG.API_DIR = path.join(
+      options.out,
+      "api",
+      `v${PlayerApi.SCHEMA_VERSION}`
+    );
+  }
+  if (options.format) {
+    if (!["compact", "legacy"].includes(options.format)) {
+      throw new Error(`--format must be "compact" or "legacy"`);
+    }
+    CONFIG.OUTPUT_FORMAT = options.format;
+  }
+
+  FLAGS.rebuild = Boolean(options.rebuild);
+  FLAGS.benchmark = Boolean(options.benchmark);
+  FLAGS.strict = Boolean(options.strict);
+  FLAGS.dryRun = Boolean(options["dry-run"]);
+  FLAGS.jsonSummary = Boolean(options["json-summary"]);
+  FLAGS.customWindow = Boolean(
+    options.since || options.until || options["max-days"]
+  );
+}
+
+/**
+ * Get the time the history window ends at (--until, or now)
+ */
+function getWindowEnd() {
+  return CONFIG.UNTIL ? new Date(CONFIG.UNTIL).getTime() : Date.now();
+}
+
+/**
+ * Describe the commit window for log messages
+ */
+function describeWindow(maxDays) {
+  if (CONFIG.SINCE || CONFIG.UNTIL) {
+    return `between ${CONFIG.SINCE || "the start"} and ${
+      CONFIG.UNTIL || "now"
+    }`;
+  }
+  return Number.isFinite(maxDays) ? `in the last ${maxDays} days` : "in total";
+}
+
 /**
  * Execute a git command and return the output
  */
@@ -48,16 +387,29 @@ function git(command) {
 /**
  * Get all commits that modified a leaderboard file
  */
-function getLeaderboardCommits(leaderboardFile) {
-  const cutoffDate = new Date();
-  cutoffDate.setDate(cutoffDate.getDate() - CONFIG.MAX_DAYS);
-  const since = cutoffDate.toISOString().split("T")[0];
+function getLeaderboardCommits(leaderboardFile, maxDays = CONFIG.MAX_DAYS) {
+  let rangeArgs = "";
+  if (CONFIG.SINCE) {
+    rangeArgs += `--since="${CONFIG.SINCE}" `;
+  } else if (Number.isFinite(maxDays)) {
+    const cutoffDate = new Date(getWindowEnd());
+    cutoffDate.setDate(cutoffDate.getDate() - maxDays);
+    rangeArgs += `--since="${cutoffDate.toISOString().split("T")[0]}" `;
+  }
+  if (CONFIG.UNTIL) {
+    rangeArgs += `--until="${CONFIG.UNTIL}" `;
+  }
 
   // Get commits with hash, date, and message
   const log = git(
-    `log --since="${since}" --format="%H|%aI|%s" -- "${leaderboardFile}"`
+    `log ${rangeArgs}--format="%H|%aI|%s" -- "${leaderboardFile}"`
   );
 
+  // A failed git log must not read as "no commits", which would prune the
+  // snapshot cache and write empty outputs
+  if (log === null) {
+    throw new Error(`Could not list the commits of ${leaderboardFile}`);
+  }
   if (!log) return [];
 
   const commits = log
@@ -87,11 +439,75 @@ function getLeaderboardCommits(leaderboardFile) {
 
 /**
  * Get the leaderboard content at a specific commit
+ * Resolves to null only when the commit has no valid leaderboard file (the
+ * result is cached as skipped); read failures reject instead.
+ */
+async function getLeaderboardAtCommit(
+  reader,
+  commitHash,
+  leaderboardFile,
+  depth
+) {
+  const content = await reader.read(commitHash, leaderboardFile);
+  if (!content) return null;
+
+  return parseLeaderboard(content, commitHash, depth);
+}
+
+/**
+ * Get the ranks past the leaderboard file from the bands file at a commit
+ * Commits from before the bands file kept every rank in the leaderboard
+ * file itself, so only ranks after its last one are taken.
+ * @param {Array} players - Players read from the leaderboard file
+ * @returns {Array} Players ranked past them, down to `depth`
+ */
+async function getBandPlayersAtCommit(
+  reader,
+  commitHash,
+  region,
+  players,
+  depth
+) {
+  const content = await reader.read(commitHash, region.bandsFile);
+  if (!content) return [];
+
+  const lastRank = players[players.length - 1].rank;
+  return (parseLeaderboard(content, commitHash, Infinity) || []).filter(
+    (player) => player.rank > lastRank && player.rank <= depth
+  );
+}
+
+/**
+ * Get the sidecar file holding the API metadata of a leaderboard file
  */
-function getLeaderboardAtCommit(commitHash, leaderboardFile) {
-  const content = git(`show ${commitHash}:"${leaderboardFile}"`);
+function getMetaFile(leaderboardFile) {
+  return leaderboardFile.replace(/\.json$/, ".meta.json");
+}
+
+/**
+ * Get the API post time recorded next to the leaderboard at a commit
+ * Returns an ISO timestamp, or null for commits without a sidecar
+ */
+async function getPostTimeAtCommit(reader, commitHash, leaderboardFile) {
+  const content = await reader.read(commitHash, getMetaFile(leaderboardFile));
   if (!content) return null;
 
+  try {
+    const meta = JSON.parse(content);
+    return typeof meta.time_posted === "number"
+      ? new Date(meta.time_posted * 1000).toISOString()
+      : null;
+  } catch (error) {
+    console.warn(`  Ignoring unreadable metadata at ${commitHash}`);
+    return null;
+  }
+}
+
+/**
+ * Parse raw leaderboard JSON into the players kept in history
+ * @param {number} depth - Players kept (default TOP_PLAYERS)
+ */
+function parseLeaderboard(content, commitHash, depth = CONFIG.TOP_PLAYERS) {
   try {
     let players = JSON.parse(content);
 
@@ -101,9 +517,9 @@ function getLeaderboardAtCommit(commitHash, leaderboardFile) {
       return null;
     }
 
-    // Crop to top 500 players (old format had 5000+)
-    if (players.length > 500) {
-      players = players.slice(0, 500);
+    // Crop to the top players (the stored files go deeper)
+    if (players.length > depth) {
+      players = players.slice(0, depth);
     }
 
     // Only keep necessary fields to reduce file size
@@ -123,125 +539,1544 @@ function getLeaderboardAtCommit(commitHash, leaderboardFile) {
 }
 
 /**
- * Sample commits if there are too many
+ * Time the old one-process-per-commit `git show` approach on a sample
+ * Returns the average milliseconds per blob
  */
-function sampleCommits(commits) {
-  if (commits.length <= CONFIG.MAX_SNAPSHOTS) {
-    return commits;
+function benchmarkGitShow(commits, leaderboardFile) {
+  const sample = commits.slice(0, CONFIG.BENCHMARK_SAMPLE);
+  const start = process.hrtime.bigint();
+
+  for (const commit of sample) {
+    const content = git(`show ${commit.hash}:"${leaderboardFile}"`);
+    if (content) parseLeaderboard(content, commit.hash);
   }
 
-  console.log(
-    `Sampling ${CONFIG.MAX_SNAPSHOTS} commits from ${commits.length} total`
-  );
+  const elapsedMs = Number(process.hrtime.bigint() - start) / 1e6;
+  return elapsedMs / Math.max(sample.length, 1);
+}
 
-  const sampled = [];
-  const step = commits.length / CONFIG.MAX_SNAPSHOTS;
+/**
+ * Print the blob read timing report for all regions
+ */
+function printTimingReport() {
+  if (timings.length === 0) return;
+
+  console.log("\n⏱️ Blob read timings (git cat-file --batch):");
+  for (const t of timings) {
+    const perBlob = t.blobs > 0 ? (t.elapsedMs / t.blobs).toFixed(2) : "-";
+    let line = `  ${t.label.padEnd(18)} ${String(t.blobs).padStart(
+      5
+    )} blobs in ${t.elapsedMs.toFixed(0)} ms (${perBlob} ms/blob)`;
+
+    if (t.showMsPerBlob !== undefined && t.blobs > 0) {
+      const estimatedMs = t.showMsPerBlob * t.blobs;
+      const speedup = estimatedMs / Math.max(t.elapsedMs, 1);
+      line += `, git show est. ${estimatedMs.toFixed(0)} ms (${speedup.toFixed(
+        1
+      )}x slower)`;
+    }
+
+    console.log(line);
+  }
+
+  const totalBlobs = timings.reduce((sum, t) => sum + t.blobs, 0);
+  const totalMs = timings.reduce((sum, t) => sum + t.elapsedMs, 0);
+  console.log(`  Total: ${totalBlobs} blobs in ${totalMs.toFixed(0)} ms`);
+
+  if (!FLAGS.benchmark) {
+    console.log("  (run with --benchmark to compare against git show)");
+  }
+}
+
+/**
+ * Sample commits into time buckets according to sampling tiers
+ * Commits are ordered newest first (git log order), so the first commit
+ * seen in a bucket is the latest one. Each sampled commit gets `resolution`.
+ */
+function sampleCommits(
+  commits,
+  tiers = CONFIG.SAMPLING_TIERS,
+  maxSnapshots = CONFIG.MAX_SNAPSHOTS
+) {
+  const now = getWindowEnd();
+  const dayMs = 24 * 60 * 60 * 1000;
+  const seenBuckets = new Set();
+  let sampled = [];
+
+  for (const commit of commits) {
+    const time = new Date(commit.timestamp).getTime();
+    const ageDays = (now - time) / dayMs;
+    const tierIndex = tiers.findIndex((tier) => ageDays <= tier.maxAgeDays);
+    if (tierIndex === -1) continue;
+
+    const tier = tiers[tierIndex];
+    const bucket = `${tierIndex}:${Math.floor(
+      time / (tier.intervalHours * 60 * 60 * 1000)
+    )}`;
+    if (seenBuckets.has(bucket)) continue;
 
-  for (let i = 0; i < CONFIG.MAX_SNAPSHOTS; i++) {
-    const index = Math.floor(i * step);
-    sampled.push(commits[index]);
+    seenBuckets.add(bucket);
+    sampled.push({ ...commit, resolution: tier.resolution });
   }
 
-  // Always include the most recent commit
-  if (sampled[sampled.length - 1] !== commits[0]) {
-    sampled[sampled.length - 1] = commits[0];
+  if (sampled.length > maxSnapshots) {
+    console.log(
+      `Capping ${sampled.length} sampled commits to the newest ${maxSnapshots}`
+    );
+    sampled = sampled.slice(0, maxSnapshots);
   }
 
+  const counts = {};
+  for (const commit of sampled) {
+    counts[commit.resolution] = (counts[commit.resolution] || 0) + 1;
+  }
+  console.log(
+    `Sampled ${sampled.length} of ${commits.length} commits (${Object.entries(
+      counts
+    )
+      .map(([resolution, count]) => `${count} ${resolution}`)
+      .join(", ")})`
+  );
+
   return sampled;
 }
 
 /**
- * Main extraction function
+ * Get the cache file for a name (one per crop depth)
  */
-async function extractHistory() {
-  // Ensure output directory exists
-  if (!fs.existsSync(CONFIG.OUTPUT_DIR)) {
-    fs.mkdirSync(CONFIG.OUTPUT_DIR, { recursive: true });
+function getCachePath(cacheName, depth) {
+  return path.join(CONFIG.CACHE_DIR, `${cacheName}-top${depth}.json`);
+}
+
+/**
+ * Load a snapshot cache by name
+ * Returns: { snapshots: Map(hash -> snapshot), skipped: Set(hash) }
+ */
+function loadCache(cacheName, depth) {
+  const empty = { snapshots: new Map(), skipped: new Set() };
+  const cachePath = getCachePath(cacheName, depth);
+
+  if (FLAGS.rebuild || !fs.existsSync(cachePath)) {
+    return empty;
   }
 
-  // Process each region
-  for (const region of CONFIG.REGIONS) {
-    console.log(`\n🌍 Processing ${region.id.toUpperCase()} region...`);
-    await extractRegionHistory(region);
+  try {
+    const cache = JSON.parse(fs.readFileSync(cachePath, "utf-8"));
+    if (cache.cacheVersion !== CONFIG.CACHE_VERSION) {
+      console.log("  Cache version changed, ignoring cache");
+      return empty;
+    }
+
+    const snapshots = new Map();
+    for (const snapshot of HistoryCodec.decode(cache)) {
+      snapshots.set(snapshot.commitHash, snapshot);
+    }
+
+    return { snapshots, skipped: new Set(cache.skipped) };
+  } catch (error) {
+    console.warn(`⚠️ Failed to read cache ${cachePath}, ignoring it`);
+    return empty;
   }
+}
 
-  console.log("\n✅ All regions processed!");
+/**
+ * Write a snapshot cache by name
+ * Entries for commits that fell out of the history window are dropped,
+ * unless a custom window was requested (a one-off run)
+ */
+function saveCache(cacheName, depth, cache, commits) {
+  if (FLAGS.dryRun) return;
+
+  const known = new Set(commits.map((commit) => commit.hash));
+  const keep = (hash) => FLAGS.customWindow || known.has(hash);
+  const snapshots = [...cache.snapshots.values()].filter((snapshot) =>
+    keep(snapshot.commitHash)
+  );
+
+  // Keyframe every snapshot so entries stay independent of each other
+  const output = {
+    cacheVersion: CONFIG.CACHE_VERSION,
+    skipped: [...cache.skipped].filter(keep),
+    ...HistoryCodec.encode(snapshots, { keyframeInterval: 1 }),
+  };
+
+  fs.mkdirSync(CONFIG.CACHE_DIR, { recursive: true });
+  fs.writeFileSync(getCachePath(cacheName, depth), JSON.stringify(output));
 }
 
 /**
- * Extract history for a single region
+ * Encode snapshots in the configured output format
+ * Compact output is decoded again and checked against the input, so a codec
+ * bug (ties, gaps, list size changes) fails the build instead of shipping
+ * wrong ranks.
+ * @param {Array} fields - Player fields to keep (compact format, default
+ *   HistoryCodec.FIELDS)
  */
-async function extractRegionHistory(region) {
-  console.log(`🔍 Finding ${region.id} leaderboard commits...`);
+function encodeSnapshots(snapshots, fields) {
+  if (CONFIG.OUTPUT_FORMAT === "legacy") {
+    return { snapshots };
+  }
+
+  const encoded = HistoryCodec.encode(snapshots, {
+    keyframeInterval: CONFIG.KEYFRAME_INTERVAL,
+    fields,
+  });
+  checkRoundTrip(snapshots, HistoryCodec.decode(encoded), encoded.fields);
+  return encoded;
+}
+
+/**
+ * Check that decoded snapshots match the ones that were encoded
+ * @param {Array} fields - Player fields that were stored
+ */
+function checkRoundTrip(snapshots, decoded, fields) {
+  snapshots.forEach((snapshot, i) => {
+    const players = decoded[i] ? decoded[i].players : [];
+    const same =
+      players.length === snapshot.players.length &&
+      snapshot.players.every(
+        (player, j) =>
+          players[j].rank === player.rank &&
+          fields.every((field) => (player[field] ?? null) === players[j][field])
+      );
+    if (!same) {
+      throw new Error(
+        `History encoding does not round-trip at ${snapshot.timestamp}`
+      );
+    }
+  });
+}
+
+/**
+ * Write a generated file (skipped with --dry-run) and list it in the summary
+ * @returns {number} Size in bytes
+ */
+function writeGeneratedFile(outputPath, content) {
+  const bytes = Buffer.byteLength(content);
+  summary.files.push({ path: outputPath, bytes });
+
+  if (!FLAGS.dryRun) {
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    fs.writeFileSync(outputPath, content);
+  }
+  return bytes;
+}
+
+/**
+ * Write a JSON output file and log its size
+ */
+function writeOutput(outputPath, output) {
+  const bytes = writeGeneratedFile(outputPath, JSON.stringify(output));
 
-  let commits = getLeaderboardCommits(region.file);
+  const fileSizeKB = (bytes / 1024).toFixed(1);
   console.log(
-    `Found ${commits.length} commits in the last ${CONFIG.MAX_DAYS} days`
+    `${
+      FLAGS.dryRun ? "🧪 Would write" : "💾 Written to"
+    } ${outputPath} (${fileSizeKB} KB)`
   );
+}
 
-  if (commits.length === 0) {
-    console.warn(`⚠️ No commits found for ${region.id}, skipping...`);
-    return;
+/**
+ * Get the short content hash used to bust browser caches
+ */
+function getContentHash(content) {
+  return crypto.createHash("sha1").update(content).digest("hex").slice(0, 12);
+}
+
+/**
+ * Get the start date (YYYY-MM-DD) of the chunk a timestamp belongs to
+ * Chunks are CHUNK_DAYS long and aligned to Monday 1970-01-05 UTC
+ */
+function getChunkStart(timestamp) {
+  const dayMs = 24 * 60 * 60 * 1000;
+  const epochMonday = Date.UTC(1970, 0, 5);
+  const chunkMs = CONFIG.CHUNK_DAYS * dayMs;
+  const index = Math.floor(
+    (new Date(timestamp).getTime() - epochMonday) / chunkMs
+  );
+  return new Date(epochMonday + index * chunkMs).toISOString().split("T")[0];
+}
+
+/**
+ * Group snapshots by the chunk they belong to
+ * @returns {Map} Chunk start date -> snapshots
+ */
+function groupByChunk(snapshots) {
+  const groups = new Map();
+  for (const snapshot of snapshots) {
+    const start = getChunkStart(snapshot.timestamp);
+    if (!groups.has(start)) groups.set(start, []);
+    groups.get(start).push(snapshot);
   }
+  return groups;
+}
 
-  // Sample if too many commits
-  commits = sampleCommits(commits);
+/**
+ * Get the rank bands past TOP_PLAYERS for a region's bandDepth
+ * @returns {Array} [{ firstRank, lastRank }], empty without a bandDepth
+ */
+function getRankBands(region) {
+  const depth = region.bandDepth || 0;
+  const bands = [];
+  let firstRank = CONFIG.TOP_PLAYERS + 1;
 
-  console.log("📦 Extracting snapshots...");
+  for (const lastRank of CONFIG.RANK_BANDS) {
+    if (firstRank > depth) break;
+    if (lastRank < firstRank) continue;
 
-  const snapshots = [];
-  let processed = 0;
+    bands.push({ firstRank, lastRank: Math.min(lastRank, depth) });
+    firstRank = lastRank + 1;
+  }
+  return bands;
+}
+
+/**
+ * Write the rank bands of a region, chunked like the history
+ * Ranks are stored relative to the band (`rankOffset`) so they encode as
+ * compactly as the top of the leaderboard.
+ * @param {Array} snapshots - Snapshots holding the players past TOP_PLAYERS
+ * @returns {Array} Manifest entries of the bands that have players
+ */
+function writeRankBands(region, snapshots) {
+  const chunkDir = path.join(CONFIG.OUTPUT_DIR, region.id);
+  const bands = [];
 
-  // Process commits from oldest to newest
-  for (const commit of commits.reverse()) {
-    const players = getLeaderboardAtCommit(commit.hash, region.file);
+  for (const { firstRank, lastRank } of getRankBands(region)) {
+    const dir = `band-${firstRank}-${lastRank}`;
+    const rankOffset = firstRank - 1;
 
-    if (players) {
-      snapshots.push({
-        timestamp: commit.timestamp,
-        commitHash: commit.hash.substring(0, 7),
-        players,
+    const bandSnapshots = snapshots
+      .map((snapshot) => ({
+        timestamp: snapshot.timestamp,
+        commitHash: snapshot.commitHash,
+        players: snapshot.players
+          .slice(
+            firstRank - 1 - CONFIG.TOP_PLAYERS,
+            lastRank - CONFIG.TOP_PLAYERS
+          )
+          .map((player) => ({ ...player, rank: player.rank - rankOffset })),
+      }))
+      .filter((snapshot) => snapshot.players.length > 0);
+    if (bandSnapshots.length === 0) continue;
+
+    const chunks = {};
+    for (const [start, chunkSnapshots] of groupByChunk(bandSnapshots)) {
+      const file = `chunk-${start}.json`;
+      const content = JSON.stringify({
+        region: region.id,
+        firstRank,
+        lastRank,
+        rankOffset,
+        ...encodeSnapshots(chunkSnapshots, region.fields),
       });
+
+      writeGeneratedFile(path.join(chunkDir, dir, file), content);
+      chunks[file] = getContentHash(content);
     }
 
-    processed++;
-    if (processed % 10 === 0) {
-      console.log(`  Processed ${processed}/${commits.length} commits`);
+    bands.push({
+      firstRank,
+      lastRank,
+      dir,
+      rankOffset,
+      from: bandSnapshots[0].timestamp,
+      to: bandSnapshots[bandSnapshots.length - 1].timestamp,
+      chunks,
+    });
+  }
+
+  // Remove bands and band chunks that are no longer listed
+  if (!FLAGS.dryRun && fs.existsSync(chunkDir)) {
+    for (const entry of fs.readdirSync(chunkDir)) {
+      if (!/^band-/.test(entry)) continue;
+
+      const bandDir = path.join(chunkDir, entry);
+      const band = bands.find((b) => b.dir === entry);
+      if (!band) {
+        fs.rmSync(bandDir, { recursive: true, force: true });
+        continue;
+      }
+      for (const file of fs.readdirSync(bandDir)) {
+        if (!band.chunks[file]) fs.unlinkSync(path.join(bandDir, file));
+      }
     }
   }
 
-  console.log(
-    `✅ Extracted ${snapshots.length} valid snapshots for ${region.id}`
-  );
+  if (bands.length > 0) {
+    console.log(
+      `📚 Rank bands for ${region.id}: ${bands
+        .map((band) => `${band.firstRank}-${band.lastRank}`)
+        .join(", ")}`
+    );
+  }
+  return bands;
+}
 
-  if (snapshots.length === 0) {
-    console.warn(`⚠️ No valid snapshots for ${region.id}, skipping...`);
-    return;
+/**
+ * Split snapshots into time chunks and write them with a manifest
+ * Chunk files from earlier runs that are no longer listed are removed
+ */
+function writeChunks(region, snapshots, identities, bandSnapshots) {
+  const chunkDir = path.join(CONFIG.OUTPUT_DIR, region.id);
+
+  const chunks = [];
+  for (const [start, chunkSnapshots] of groupByChunk(snapshots)) {
+    const file = `chunk-${start}.json`;
+    const dateRange = {
+      from: chunkSnapshots[0].timestamp,
+      to: chunkSnapshots[chunkSnapshots.length - 1].timestamp,
+    };
+    const content = JSON.stringify({
+      region: region.id,
+      ...encodeSnapshots(chunkSnapshots, region.fields),
+      meta: { totalSnapshots: chunkSnapshots.length, dateRange },
+    });
+
+    writeGeneratedFile(path.join(chunkDir, file), content);
+    chunks.push({
+      file,
+      ...dateRange,
+      snapshots: chunkSnapshots.length,
+      hash: getContentHash(content),
+    });
   }
 
-  // Build output
-  const output = {
+  // Remove chunks that fell out of the history window
+  const current = new Set(chunks.map((chunk) => chunk.file));
+  if (!FLAGS.dryRun && fs.existsSync(chunkDir)) {
+    for (const file of fs.readdirSync(chunkDir)) {
+      if (/^chunk-.*\.json$/.test(file) && !current.has(file)) {
+        fs.unlinkSync(path.join(chunkDir, file));
+      }
+    }
+  }
+
+  const bands = writeRankBands(region, bandSnapshots);
+
+  writeOutput(path.join(chunkDir, "manifest.json"), {
     region: region.id,
-    snapshots,
+    chunkDays: CONFIG.CHUNK_DAYS,
+    chunks,
+    bands,
+    identities,
     meta: {
       generatedAt: new Date().toISOString(),
       totalSnapshots: snapshots.length,
       dateRange: {
-        from: snapshots[0]?.timestamp,
-        to: snapshots[snapshots.length - 1]?.timestamp,
+        from: snapshots[0].timestamp,
+        to: snapshots[snapshots.length - 1].timestamp,
       },
     },
-  };
+  });
+}
+
+/**
+ * Main extraction function
+ */
+async function extractHistory() {
+  const startTime = Date.now();
+
+  // Ensure output directory exists
+  if (!FLAGS.dryRun && !fs.existsSync(CONFIG.OUTPUT_DIR)) {
+    fs.mkdirSync(CONFIG.OUTPUT_DIR, { recursive: true });
+  }
+
+  const identityOverrides = loadIdentityOverrides();
+  const extracted = []; // Per region, for the cross-region outputs
+
+  // Process each region
+  for (const region of CONFIG.REGIONS) {
+    console.log(`\n🌍 Processing ${region.id.toUpperCase()} region...`);
+    const { history, bands } = await extractRegionHistory(region);
+    const archive = await extractRegionArchive(region);
+
+    const identities = resolveRegionIdentities(
+      region,
+      history,
+      archive,
+      bands,
+      prepareOverrides(identityOverrides[region.id])
+    );
 
-  // Write output
-  const outputPath = path.join(CONFIG.OUTPUT_DIR, `history-${region.id}.json`);
-  fs.writeFileSync(outputPath, JSON.stringify(output));
+    if (history.length > 0) {
+      writeRegionHistory(region, history, identities, bands);
+    }
+    if (archive.length > 0) writeRegionArchive(region, archive);
+    const timeline = getTimeline(history, archive);
+    const players = writeRegionPlayers(region, timeline);
+    const teams = writeRegionTeams(region, timeline);
+    const ranks = PlayerApi.collectRankHistory(timeline);
+    writeRegionApi(region, players, ranks);
+    writeRegionFeed(region, history, teams);
+    const pages = writeRegionPages(region, players, ranks);
+    writeRegionMoversCards(region, history);
+    writeRegionAggregates(region, history, archive, teams);
+
+    extracted.push({
+      id: region.id,
+      history: getWorldTop(history),
+      archive: getWorldTop(archive),
+      identities,
+      players,
+      pages,
+    });
+
+    summary.regions.push({
+      region: region.id,
+      history: describeSnapshots(history),
+      archive: describeSnapshots(archive),
+      bands: describeSnapshots(bands),
+      identities: Object.keys(identities).length,
+      players: players.length,
+      quarantined: quarantine.filter((entry) => entry.region === region.id)
+        .length,
+    });
+  }
+
+  extractWorld(extracted);
+  writeMigrations(extracted);
+  writeSitemap(extracted);
+
+  printTimingReport();
+  writeQuarantineReport();
+  writeApiIndex();
 
-  const fileSizeKB = (fs.statSync(outputPath).size / 1024).toFixed(1);
-  console.log(`💾 Written to ${outputPath} (${fileSizeKB} KB)`);
+  if (FLAGS.jsonSummary) {
+    printSummary(Date.now() - startTime);
+  }
+
+  if (FLAGS.strict && quarantine.length > 0) {
+    console.error(
+      `\n❌ ${quarantine.length} snapshots failed validation (--strict)`
+    );
+    process.exit(1);
+  }
+
+  console.log("\n✅ All regions processed!");
+}
+
+/**
+ * Summarize a list of snapshots for the JSON summary
+ */
+function describeSnapshots(snapshots) {
+  return {
+    snapshots: snapshots.length,
+    from: snapshots[0]?.timestamp || null,
+    to: snapshots[snapshots.length - 1]?.timestamp || null,
+  };
+}
+
+/**
+ * Print the machine-readable run summary on stdout
+ */
+function printSummary(durationMs) {
+  const output = {
+    generatedAt: new Date().toISOString(),
+    dryRun: FLAGS.dryRun,
+    options: {
+      regions: CONFIG.REGIONS.map((region) => region.id),
+      since: CONFIG.SINCE,
+      until: CONFIG.UNTIL,
+      maxDays: CONFIG.MAX_DAYS,
+      maxSnapshots: CONFIG.MAX_SNAPSHOTS,
+      topPlayers: CONFIG.TOP_PLAYERS,
+      format: CONFIG.OUTPUT_FORMAT,
+      outputDir: CONFIG.OUTPUT_DIR,
+    },
+    regions: summary.regions,
+    quarantined: quarantine.length,
+    files: summary.files,
+    totalBytes: summary.files.reduce((total, file) => total + file.bytes, 0),
+    durationMs,
+  };
+  process.stdout.write(JSON.stringify(output, null, 2) + "\n");
+}
+
+/**
+ * Drop snapshots that fail validation and record them for the report
+ * @param {string} source - "history" or "archive"
+ * @returns {Array} Valid snapshots
+ */
+function validateRegionSnapshots(region, snapshots, source) {
+  // A shallow --top would otherwise count as truncated
+  const { valid, quarantined } = validateSnapshots(snapshots, {
+    minPlayers: Math.min(DEFAULT_RULES.minPlayers, CONFIG.TOP_PLAYERS),
+    ...CONFIG.VALIDATION_RULES,
+  });
+
+  for (const { snapshot, problems } of quarantined) {
+    console.warn(
+      `⚠️ Quarantined ${region.id} ${source} snapshot ${snapshot.timestamp} (${
+        snapshot.commitHash
+      }): ${problems.join("; ")}`
+    );
+    quarantine.push({
+      region: region.id,
+      source,
+      timestamp: snapshot.timestamp,
+      commitHash: snapshot.commitHash,
+      players: snapshot.players.length,
+      problems,
+    });
+  }
+
+  return valid;
+}
+
+/**
+ * Write the list of quarantined snapshots
+ */
+function writeQuarantineReport() {
+  writeOutput(CONFIG.QUARANTINE_REPORT, {
+    generatedAt: new Date().toISOString(),
+    rules: { ...DEFAULT_RULES, ...CONFIG.VALIDATION_RULES },
+    snapshots: quarantine,
+  });
+
+  if (quarantine.length > 0) {
+    console.warn(
+      `⚠️ ${quarantine.length} snapshots quarantined, see ${CONFIG.QUARANTINE_REPORT}`
+    );
+  }
+}
+
+/**
+ * Read snapshots for sampled commits, using and updating a cache
+ * @param {Object} region - Region config
+ * @param {Array} commits - Sampled commits, newest first
+ * @param {Array} allCommits - Every commit in the window (for cache pruning)
+ * @param {string} cacheName - Cache file name
+ * @param {Object} bands - { depth, since }: commits from `since` (ms) on are
+ *   read down to `depth`, including the bands file; null for TOP_PLAYERS only
+ * @returns {Array} Snapshots ordered oldest to newest
+ */
+async function collectSnapshots(
+  region,
+  commits,
+  allCommits,
+  cacheName,
+  bands = null
+) {
+  const depth = bands
+    ? `${CONFIG.TOP_PLAYERS}-bands${bands.depth}`
+    : CONFIG.TOP_PLAYERS;
+  const isDeep = (commit) =>
+    bands !== null && new Date(commit.timestamp).getTime() >= bands.since;
+
+  const cache = loadCache(cacheName, depth);
+  const uncached = commits.filter(
+    (commit) =>
+      !cache.snapshots.has(commit.hash) && !cache.skipped.has(commit.hash)
+  );
+  console.log(
+    `📦 Extracting snapshots (${commits.length - uncached.length} cached, ${
+      uncached.length
+    } new)...`
+  );
+
+  // Only parse commits the cache has not seen before
+  const reader = openBlobReader();
+  const readStart = process.hrtime.bigint();
+  let processed = 0;
+  for (const commit of uncached) {
+    const players = await getLeaderboardAtCommit(
+      reader,
+      commit.hash,
+      region.file,
+      isDeep(commit) ? bands.depth : CONFIG.TOP_PLAYERS
+    );
+    if (players && isDeep(commit)) {
+      players.push(
+        ...(await getBandPlayersAtCommit(
+          reader,
+          commit.hash,
+          region,
+          players,
+          bands.depth
+        ))
+      );
+    }
+
+    if (players) {
+      const entry = { commitHash: commit.hash, players };
+      const postedAt = await getPostTimeAtCommit(
+        reader,
+        commit.hash,
+        region.file
+      );
+      if (postedAt) entry.postedAt = postedAt;
+      cache.snapshots.set(commit.hash, entry);
+    } else {
+      // Not a valid leaderboard file; git failures throw before this, so
+      // nothing transient ends up here and is never retried
+      cache.skipped.add(commit.hash);
+    }
+
+    processed++;
+    if (processed % 10 === 0) {
+      console.log(`  Processed ${processed}/${uncached.length} commits`);
+    }
+  }
+  await reader.close();
+
+  const timing = {
+    label: cacheName,
+    blobs: uncached.length,
+    elapsedMs: Number(process.hrtime.bigint() - readStart) / 1e6,
+  };
+  if (FLAGS.benchmark) {
+    timing.showMsPerBlob = benchmarkGitShow(
+      uncached.length > 0 ? uncached : commits,
+      region.file
+    );
+  }
+  timings.push(timing);
+
+  // Band players are only kept while their commit is in the band window
+  for (const commit of allCommits) {
+    const cached = cache.snapshots.get(commit.hash);
+    if (cached && !isDeep(commit)) {
+      cached.players = cached.players.slice(0, CONFIG.TOP_PLAYERS);
+    }
+  }
+
+  saveCache(cacheName, depth, cache, allCommits);
+
+  // Merge cached and new snapshots, oldest to newest
+  const snapshots = [];
+  for (const commit of [...commits].reverse()) {
+    const cached = cache.snapshots.get(commit.hash);
+    if (cached) {
+      const snapshot = {
+        timestamp: cached.postedAt || commit.timestamp,
+        commitHash: commit.hash.substring(0, 7),
+        resolution: commit.resolution,
+        players: cached.players,
+      };
+      if (cached.postedAt) snapshot.fetchedAt = commit.timestamp;
+      snapshots.push(snapshot);
+    }
+  }
+
+  return mergeByPostTime(snapshots);
+}
+
+/**
+ * Merge snapshots of the same API post (re-fetches, late cron runs)
+ * The latest fetch of a post wins.
+ * @param {Array} snapshots - Snapshots ordered by fetch time
+ * @returns {Array} One snapshot per timestamp, oldest to newest
+ */
+function mergeByPostTime(snapshots) {
+  const byTime = new Map();
+  for (const snapshot of snapshots) {
+    byTime.set(new Date(snapshot.timestamp).getTime(), snapshot);
+  }
+
+  const merged = [...byTime.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([, snapshot]) => snapshot);
+
+  if (merged.length < snapshots.length) {
+    console.log(
+      `🔗 Merged ${
+        snapshots.length - merged.length
+      } snapshots sharing a post time`
+    );
+  }
+  return merged;
+}
+
+/**
+ * Load the manual identity overrides, keyed by region id
+ */
+function loadIdentityOverrides() {
+  const file = CONFIG.IDENTITY_OVERRIDES_FILE;
+  if (!fs.existsSync(file)) return {};
+
+  const overrides = JSON.parse(fs.readFileSync(file, "utf-8"));
+  for (const regionId of Object.keys(overrides)) {
+    if (!CONFIG.REGIONS.some((region) => region.id === regionId)) {
+      console.warn(`⚠️ ${file} lists unknown region "${regionId}"`);
+    }
+  }
+  return overrides;
+}
+
+/**
+ * Join the daily archive from before the recent history with the history
+ * @returns {Array} Snapshots ordered oldest to newest
+ */
+function getTimeline(history, archive) {
+  const historyStart = history.length > 0 ? history[0].timestamp : null;
+  const olderArchive = archive.filter(
+    (snapshot) => !historyStart || snapshot.timestamp < historyStart
+  );
+  return [...olderArchive, ...history];
+}
+
+/**
+ * Link player records across renames and assign canonical IDs
+ * The daily archive covers the time before the recent history starts, so
+ * both are walked as one timeline and share the same IDs. Rank band players
+ * get the same IDs but don't take part in linking.
+ * @returns {Object} Identities with more than one key
+ */
+function resolveRegionIdentities(region, history, archive, bands, overrides) {
+  const timeline = getTimeline(history, archive);
+
+  const { canonicalOf, links } = resolveIdentities(
+    timeline,
+    CONFIG.IDENTITY_OPTIONS
+  );
+  applyMerges(canonicalOf, overrides);
+
+  const identities = applyIdentities(timeline, canonicalOf, overrides);
+  applyIdentities(
+    archive.filter((snapshot) => !timeline.includes(snapshot)),
+    canonicalOf,
+    overrides
+  );
+  applyIdentities(bands, canonicalOf, overrides);
+
+  console.log(
+    `🪪 Linked ${links.length} renamed players into ${
+      Object.keys(identities).length
+    } identities for ${region.id}`
+  );
+
+  for (const override of getUnmatchedOverrides(overrides)) {
+    console.warn(
+      `⚠️ Identity override no longer matches any ${region.id} data: ${override}`
+    );
+  }
+
+  return identities;
+}
+
+/**
+ * Extract history for a single region
+ * Commits of the last BAND_MAX_DAYS are read down to the region's bandDepth
+ * in the same pass (and cache), and the ranks past TOP_PLAYERS are split off
+ * as rank band snapshots.
+ * @returns {Object} { history, bands }, snapshots ordered oldest to newest
+ */
+async function extractRegionHistory(region) {
+  console.log(`🔍 Finding ${region.id} leaderboard commits...`);
+
+  const allCommits = getLeaderboardCommits(region.file);
+  console.log(
+    `Found ${allCommits.length} commits ${describeWindow(CONFIG.MAX_DAYS)}`
+  );
+
+  if (allCommits.length === 0) {
+    console.warn(`⚠️ No commits found for ${region.id}, skipping...`);
+    return { history: [], bands: [] };
+  }
+
+  // Sample if too many commits
+  const commits = sampleCommits(allCommits);
+  const rankBands = getRankBands(region);
+  const bandDepth =
+    rankBands.length > 0 ? rankBands[rankBands.length - 1].lastRank : null;
+  const deepSnapshots = await collectSnapshots(
+    region,
+    commits,
+    allCommits,
+    region.id,
+    bandDepth && {
+      depth: bandDepth,
+      since: getWindowEnd() - CONFIG.BAND_MAX_DAYS * 24 * 60 * 60 * 1000,
+    }
+  );
+
+  const snapshots = validateRegionSnapshots(
+    region,
+    deepSnapshots.map((snapshot) => ({
+      ...snapshot,
+      players: snapshot.players.slice(0, CONFIG.TOP_PLAYERS),
+    })),
+    "history"
+  );
+
+  console.log(
+    `✅ Extracted ${snapshots.length} valid snapshots for ${region.id}`
+  );
+
+  if (snapshots.length === 0) {
+    console.warn(`⚠️ No valid snapshots for ${region.id}, skipping...`);
+  }
+
+  return {
+    history: snapshots,
+    bands: bandDepth ? getBandSnapshots(deepSnapshots, snapshots) : [],
+  };
+}
+
+/**
+ * Split the ranks past TOP_PLAYERS off the recent part of the history
+ * Only snapshots that passed validation get bands, so every band snapshot
+ * lines up with a history snapshot.
+ * @param {Array} deepSnapshots - Snapshots as read, oldest to newest
+ * @param {Array} history - Valid history snapshots, oldest to newest
+ * @returns {Array} Snapshots holding only the deeper players
+ */
+function getBandSnapshots(deepSnapshots, history) {
+  if (history.length === 0) return [];
+
+  const cutoff =
+    new Date(history[history.length - 1].timestamp).getTime() -
+    CONFIG.BAND_MAX_DAYS * 24 * 60 * 60 * 1000;
+  const timestamps = new Set(history.map((snapshot) => snapshot.timestamp));
+
+  const snapshots = deepSnapshots
+    .filter(
+      (snapshot) =>
+        timestamps.has(snapshot.timestamp) &&
+        new Date(snapshot.timestamp).getTime() >= cutoff &&
+        snapshot.players.length > CONFIG.TOP_PLAYERS
+    )
+    .map((snapshot) => ({
+      timestamp: snapshot.timestamp,
+      commitHash: snapshot.commitHash,
+      players: snapshot.players.slice(CONFIG.TOP_PLAYERS),
+    }));
+
+  const deepest = Math.max(
+    0,
+    ...snapshots.map((snapshot) => snapshot.players.length)
+  );
+  console.log(
+    `📚 Found ${deepest} players past rank ${CONFIG.TOP_PLAYERS} in ${snapshots.length} snapshots`
+  );
+
+  return snapshots;
+}
+
+/**
+ * Write the history file and chunks for a single region
+ */
+function writeRegionHistory(region, snapshots, identities, bands) {
+  const output = {
+    region: region.id,
+    ...encodeSnapshots(snapshots, region.fields),
+    identities,
+    meta: {
+      generatedAt: new Date().toISOString(),
+      totalSnapshots: snapshots.length,
+      dateRange: {
+        from: snapshots[0]?.timestamp,
+        to: snapshots[snapshots.length - 1]?.timestamp,
+      },
+    },
+  };
+
+  writeOutput(
+    path.join(CONFIG.OUTPUT_DIR, `history-${region.id}.json`),
+    output
+  );
+  writeChunks(region, snapshots, identities, bands);
+}
+
+/**
+ * Extract the daily long-term archive for a single region
+ * @returns {Array} Daily snapshots ordered oldest to newest
+ */
+async function extractRegionArchive(region) {
+  console.log(
+    `🗄️ Building ${region.id} archive from the ${
+      CONFIG.SINCE || CONFIG.UNTIL ? "selected" : "full"
+    } git history...`
+  );
+
+  const allCommits = getLeaderboardCommits(region.file, Infinity);
+  if (allCommits.length === 0) return [];
+
+  const commits = sampleCommits(allCommits, CONFIG.ARCHIVE_TIERS, Infinity);
+  const snapshots = validateRegionSnapshots(
+    region,
+    await collectSnapshots(region, commits, allCommits, `${region.id}-archive`),
+    "archive"
+  );
+
+  if (snapshots.length === 0) {
+    console.warn(`⚠️ No archive snapshots for ${region.id}, skipping...`);
+  }
+
+  return snapshots;
+}
+
+/**
+ * Write the archive for a single region
+ * One file per year plus an index listing them
+ */
+function writeRegionArchive(region, snapshots) {
+  // Group snapshots by UTC year
+  const years = new Map();
+  for (const snapshot of snapshots) {
+    const year = new Date(snapshot.timestamp).getUTCFullYear();
+    if (!years.has(year)) years.set(year, []);
+    years.get(year).push(snapshot);
+  }
+
+  const index = {
+    region: region.id,
+    years: [],
+    meta: {
+      generatedAt: new Date().toISOString(),
+      totalSnapshots: snapshots.length,
+    },
+  };
+
+  for (const [year, yearSnapshots] of years) {
+    const file = `${region.id}-${year}.json`;
+    const dateRange = {
+      from: yearSnapshots[0].timestamp,
+      to: yearSnapshots[yearSnapshots.length - 1].timestamp,
+    };
+
+    writeOutput(path.join(CONFIG.ARCHIVE_DIR, file), {
+      region: region.id,
+      year,
+      ...encodeSnapshots(yearSnapshots, region.fields),
+      meta: { totalSnapshots: yearSnapshots.length, dateRange },
+    });
+
+    index.years.push({
+      year,
+      file,
+      snapshots: yearSnapshots.length,
+      ...dateRange,
+    });
+  }
+
+  writeOutput(path.join(CONFIG.ARCHIVE_DIR, `${region.id}.json`), index);
+}
+
+/**
+ * Write the player index for a single region
+ * @param {Array} timeline - Archive and history snapshots, oldest to newest
+ * @returns {Array} Player index rows
+ */
+function writeRegionPlayers(region, timeline) {
+  if (timeline.length === 0) return [];
+
+  const players = buildPlayerIndex(timeline, CONFIG.PLAYER_INDEX_OPTIONS);
+  writeOutput(path.join(CONFIG.OUTPUT_DIR, `players-${region.id}.json`), {
+    region: region.id,
+    players,
+    meta: {
+      generatedAt: new Date().toISOString(),
+      totalPlayers: players.length,
+      dateRange: {
+        from: timeline[0].timestamp,
+        to: timeline[timeline.length - 1].timestamp,
+      },
+    },
+  });
+
+  return players;
+}
+
+/**
+ * Write the team registry for a single region
+ * @param {Array} timeline - Archive and history snapshots, oldest to newest
+ * @returns {Object} team_id -> { tags, roster }
+ */
+function writeRegionTeams(region, timeline) {
+  if (timeline.length === 0) return {};
+
+  const teams = buildTeamRegistry(timeline);
+  writeOutput(path.join(CONFIG.OUTPUT_DIR, `teams-${region.id}.json`), {
+    region: region.id,
+    teams,
+    meta: {
+      generatedAt: new Date().toISOString(),
+      totalTeams: Object.keys(teams).length,
+    },
+  });
+
+  return teams;
+}
+
+/**
+ * Write the Atom feed of notable events for a single region
+ * @param {Array} history - Recent history, oldest to newest
+ * @param {Object} teams - Team registry
+ */
+function writeRegionFeed(region, history, teams) {
+  if (history.length < 2) return;
+
+  const events = detectEvents(history, teams, CONFIG.FEED_OPTIONS);
+  const name = Regions.get(region.id).fullName;
+  const link = `${CONFIG.SITE_URL}#${region.id}`;
+  const outputPath = path.join(CONFIG.FEEDS_DIR, `${region.id}.xml`);
+
+  const bytes = writeGeneratedFile(
+    outputPath,
+    renderAtomFeed({
+      id: `${CONFIG.FEED_TAG}:${region.id}`,
+      title: `Dota 2 Leaderboard - ${name}`,
+      subtitle: `New #1s, top 10 changes, big jumps and team changes in ${name}`,
+      link,
+      self: `${CONFIG.SITE_URL}feeds/${region.id}.xml`,
+      author: "Dota 2 Leaderboard",
+      updated: history[history.length - 1].timestamp,
+      entries: events.map((event) => ({
+        id: `${CONFIG.FEED_TAG}:${region.id}/${event.id}`,
+        title: event.title,
+        updated: event.timestamp,
+        link,
+        category: event.type,
+        summary: event.summary,
+      })),
+    })
+  );
+
+  console.log(
+    `${FLAGS.dryRun ? "🧪 Would write" : "📰 Written"} ${
+      events.length
+    } events to ${outputPath} (${(bytes / 1024).toFixed(1)} KB)`
+  );
+}
+
+/**
+ * Write a share card as SVG, plus PNG when a rasterizer is installed
+ * A failed conversion is logged and the card stays SVG only.
+ * @param {string} outputPath - Card path without extension
+ * @returns {string} URL path of the card under CARDS_DIR, PNG when there is
+ *   one
+ */
+function writeCard(outputPath, svg) {
+  const cardPath = path.relative(CONFIG.CARDS_DIR, outputPath);
+  writeGeneratedFile(`${outputPath}.svg`, svg);
+
+  if (rasterizer === undefined) rasterizer = findRasterizer();
+  if (!rasterizer) return `${cardPath}.svg`;
+
+  if (!FLAGS.dryRun) {
+    try {
+      rasterize(rasterizer, `${outputPath}.svg`, `${outputPath}.png`);
+    } catch (error) {
+      console.warn(
+        `⚠️ Could not convert ${outputPath}.svg to PNG (${error.message})`
+      );
+      fs.rmSync(`${outputPath}.png`, { force: true });
+      return `${cardPath}.svg`;
+    }
+    summary.files.push({
+      path: `${outputPath}.png`,
+      bytes: fs.statSync(`${outputPath}.png`).size,
+    });
+  }
+  return `${cardPath}.png`;
+}
+
+/**
+ * Remove the files of a directory that aren't in `current`
+ * @param {Function} keep - Optional filter; files it rejects are left alone
+ */
+function removeStaleFiles(dir, current, keep = () => true) {
+  if (FLAGS.dryRun || !fs.existsSync(dir)) return;
+
+  for (const file of fs.readdirSync(dir)) {
+    if (keep(file) && !current.has(file)) {
+      fs.rmSync(path.join(dir, file), { recursive: true });
+    }
+  }
+}
+
+/**
+ * Write the static player pages for a single region
+ * Only players who reached PAGE_MAX_RANK get one, with a share card as its
+ * image; pages and cards of other players are removed.
+ * @param {Array} players - Player index rows
+ * @param {Map} ranks - Player ID -> rank history (PlayerApi.collectRankHistory)
+ * @returns {Array|null} [{ url, lastmod }] for the sitemap, null when the
+ *   region has no players (nothing extracted) and its pages were left alone
+ */
+function writeRegionPages(region, players, ranks) {
+  if (players.length === 0) return null;
+
+  const regionDir = path.join(CONFIG.PAGES_DIR, region.id);
+  const cardsDir = path.join(CONFIG.CARDS_DIR, region.id, "players");
+  const template = fs.readFileSync(CONFIG.PAGE_TEMPLATE, "utf-8");
+  const regionName = Regions.get(region.id).fullName;
+
+  const pages = [];
+  const current = new Set();
+  const cards = new Set();
+  let bytes = 0;
+  for (const row of players) {
+    if (row.bestRank > CONFIG.PAGE_MAX_RANK) continue;
+
+    const slug = PlayerApi.getPlayerSlug(row.id);
+    const url = `${CONFIG.SITE_URL}player/${region.id}/${slug}/`;
+    const card = writeCard(
+      path.join(cardsDir, slug),
+      renderPlayerCard(row, ranks.get(row.id) || [], regionName)
+    );
+    bytes += writeGeneratedFile(
+      path.join(regionDir, slug, "index.html"),
+      renderPlayerPage(template, {
+        url,
+        region: region.id,
+        regionName,
+        row,
+        image: `${CONFIG.SITE_URL}cards/${card}`,
+      })
+    );
+    pages.push({ url, lastmod: row.lastSeen });
+    current.add(slug);
+    cards.add(`${slug}.svg`).add(`${slug}.png`);
+  }
+
+  // Remove players that no longer get a page
+  removeStaleFiles(regionDir, current);
+  removeStaleFiles(cardsDir, cards);
+
+  console.log(
+    `${FLAGS.dryRun ? "🧪 Would write" : "💾 Written"} ${
+      pages.length
+    } player pages to ${regionDir} (${(bytes / 1024 / 1024).toFixed(1)} MB)`
+  );
+  return pages;
+}
+
+/**
+ * Write the daily movers cards for a single region
+ * One card per UTC day of the last CARD_DAYS, with the day's biggest winners
+ * and losers among the top TOP_PLAYERS; older cards are removed.
+ * @param {Array} history - Recent history, oldest to newest
+ */
+function writeRegionMoversCards(region, history) {
+  if (history.length < 2) return;
+
+  const cardsDir = path.join(CONFIG.CARDS_DIR, region.id);
+  const regionName = Regions.get(region.id).fullName;
+  const newest = new Date(history[history.length - 1].timestamp).getTime();
+
+  const current = new Set();
+  for (let day = CONFIG.CARD_DAYS - 1; day >= 0; day--) {
+    const date = new Date(newest - day * 24 * 60 * 60 * 1000)
+      .toISOString()
+      .slice(0, 10);
+    const snapshots = history.filter((snapshot) =>
+      new Date(snapshot.timestamp).toISOString().startsWith(date)
+    );
+    if (snapshots.length < 2) continue;
+
+    const playerHistory = Stats.buildPlayerHistory(snapshots);
+    const { AGGREGATE_COUNT: count, TOP_PLAYERS: scope } = CONFIG;
+    writeCard(
+      path.join(cardsDir, `movers-${date}`),
+      renderMoversCard(
+        regionName,
+        date,
+        Stats.getWinners(playerHistory, count, scope),
+        Stats.getLosers(playerHistory, count, scope)
+      )
+    );
+    current.add(`movers-${date}.svg`).add(`movers-${date}.png`);
+  }
+
+  removeStaleFiles(cardsDir, current, (file) => file.startsWith("movers-"));
+
+  console.log(
+    `${FLAGS.dryRun ? "🧪 Would write" : "🖼️ Written"} ${
+      current.size / 2
+    } movers cards to ${cardsDir}${rasterizer ? "" : " (SVG only)"}`
+  );
+}
+
+/**
+ * List every region's player pages in SITEMAP_FILE
+ * Skipped unless every enabled region was extracted and has its pages, so a
+ * partial run doesn't drop the other regions' pages.
+ * @param {Array} sources - [{ id, pages }] per region
+ */
+function writeSitemap(sources) {
+  const missing = getMissingRegions(
+    sources.filter((source) => source.pages !== null)
+  );
+  if (missing) {
+    console.log(`\n🗺️ Skipping the sitemap (${missing} not extracted)`);
+    return;
+  }
+
+  const pages = sources.flatMap((source) => source.pages);
+  const sitemap = fs.readFileSync(CONFIG.SITEMAP_TEMPLATE, "utf-8");
+  writeGeneratedFile(
+    CONFIG.SITEMAP_FILE,
+    renderSitemap(sitemap, `${CONFIG.SITE_URL}player/`, pages)
+  );
+  console.log(
+    `\n🗺️ Listed ${pages.length} player pages in ${CONFIG.SITEMAP_FILE}`
+  );
+}
+
+/**
+ * Write the static API files for a single region
+ * One document per player plus a listing; players that are no longer in
+ * the index lose their file.
+ * @param {Array} players - Player index rows
+ * @param {Map} ranks - Player ID -> rank history (PlayerApi.collectRankHistory)
+ */
+function writeRegionApi(region, players, ranks) {
+  if (players.length === 0) return;
+
+  const regionDir = path.join(CONFIG.API_DIR, region.id);
+  const playersDir = path.join(regionDir, "players");
+  const generatedAt = new Date().toISOString();
+
+  let bytes = 0;
+  const current = new Set();
+  for (const row of players) {
+    const file = `${PlayerApi.getPlayerSlug(row.id)}.json`;
+    const document = PlayerApi.buildPlayerDocument(
+      region.id,
+      row,
+      ranks.get(row.id) || [],
+      generatedAt
+    );
+    bytes += writeGeneratedFile(
+      path.join(playersDir, file),
+      JSON.stringify(document)
+    );
+    current.add(file);
+  }
+
+  // Remove players that fell out of the index
+  if (!FLAGS.dryRun && fs.existsSync(playersDir)) {
+    for (const file of fs.readdirSync(playersDir)) {
+      if (!current.has(file)) fs.unlinkSync(path.join(playersDir, file));
+    }
+  }
+
+  console.log(
+    `${FLAGS.dryRun ? "🧪 Would write" : "💾 Written"} ${
+      players.length
+    } player files to ${playersDir} (${(bytes / 1024).toFixed(1)} KB)`
+  );
+
+  writeOutput(
+    path.join(regionDir, "index.json"),
+    PlayerApi.buildRegionIndex(region.id, players, generatedAt)
+  );
+}
+
+/**
+ * Write the API entry point listing the regions
+ */
+function writeApiIndex() {
+  writeOutput(path.join(CONFIG.API_DIR, "index.json"), {
+    schemaVersion: PlayerApi.SCHEMA_VERSION,
+    regions: Regions.getEnabled().map((region) => ({
+      id: region.id,
+      name: region.fullName,
+      index: `${region.id}/index.json`,
+    })),
+    generatedAt: new Date().toISOString(),
+  });
+}
+
+/**
+ * Get the snapshots a time scope select value covers, like the web app does
+ * "all" is the daily archive (the full history without one), days count
+ * back from the newest snapshot (Stats.filterSnapshotsByNewest).
+ */
+function getAggregateSnapshots(windowValue, history, archive) {
+  if (windowValue === "all") {
+    return archive.length > 0 ? archive : history;
+  }
+
+  return Stats.filterSnapshotsByNewest(history, Number(windowValue));
+}
+
+/**
+ * Keep the players of a sorted winners/losers list that fit a rank scope
+ */
+function pickMovers(movers, scope, prosOnly) {
+  return movers
+    .filter(
+      (mover) =>
+        mover.lastRank <= scope &&
+        (!prosOnly || (mover.team_tag && mover.team_tag.trim() !== ""))
+    )
+    .slice(0, CONFIG.AGGREGATE_COUNT);
+}
+
+/**
+ * Write the precomputed winners, losers and team changes for a single region
+ * Each window holds one table per rank scope, plus the same lists limited
+ * to players with a team (the app's "Pros Only" filter), and the window's
+ * team changes, so the app doesn't load the window's snapshots at all.
+ * @param {Object} teams - Team registry
+ */
+function writeRegionAggregates(region, history, archive, teams) {
+  const windows = {};
+
+  for (const windowValue of CONFIG.AGGREGATE_WINDOWS) {
+    const snapshots = getAggregateSnapshots(windowValue, history, archive);
+    if (snapshots.length < 2) continue;
+
+    // Every mover once, sorted; scopes only filter on the last rank
+    const playerHistory = Stats.buildPlayerHistory(snapshots);
+    const winners = Stats.getWinners(playerHistory, Infinity, Infinity);
+    const losers = Stats.getLosers(playerHistory, Infinity, Infinity);
+
+    const scopes = {};
+    for (const scope of CONFIG.AGGREGATE_SCOPES) {
+      scopes[scope] = {
+        winners: pickMovers(winners, scope, false),
+        losers: pickMovers(losers, scope, false),
+        pros: {
+          winners: pickMovers(winners, scope, true),
+          losers: pickMovers(losers, scope, true),
+        },
+      };
+    }
+
+    windows[windowValue] = {
+      from: snapshots[0].timestamp,
+      to: snapshots[snapshots.length - 1].timestamp,
+      snapshots: snapshots.length,
+      scopes,
+      teamChanges: Stats.getTeamChanges(snapshots, 0, teams),
+    };
+  }
+
+  if (Object.keys(windows).length === 0) return;
+
+  writeOutput(path.join(CONFIG.OUTPUT_DIR, `aggregates-${region.id}.json`), {
+    region: region.id,
+    windows,
+    meta: { generatedAt: new Date().toISOString() },
+  });
+}
+
+/**
+ * Keep the players of each snapshot that make it into the World view
+ */
+function getWorldTop(snapshots) {
+  return snapshots.map((snapshot) => ({
+    ...snapshot,
+    players: snapshot.players.slice(0, CONFIG.WORLD_TOP_PLAYERS),
+  }));
+}
+
+/**
+ * List the enabled regions missing from a run (e.g. with --region)
+ * @param {Array} sources - Extracted regions ({ id, ... })
+ * @returns {string} Comma separated region ids, empty when none are missing
+ */
+function getMissingRegions(sources) {
+  return Regions.getEnabled()
+    .filter((region) => !sources.some((source) => source.id === region.id))
+    .map((region) => region.id)
+    .join(", ");
+}
+
+/**
+ * Merge the regions into the World view and write it like a region
+ * Skipped unless every enabled region was extracted.
+ * @param {Array} sources - [{ id, history, archive, identities }] per region
+ */
+function extractWorld(sources) {
+  const world = Regions.world;
+  if (!Regions.getViews().includes(world)) return;
+
+  const missing = getMissingRegions(sources);
+  if (missing) {
+    console.log(
+      `\n🌐 Skipping the ${world.id} view (${missing} not extracted)`
+    );
+    return;
+  }
+
+  console.log(`\n🌐 Merging ${sources.length} regions into ${world.id}...`);
+
+  // Bucket sizes of the sampling tiers, by the resolution they record
+  const resolutionHours = {};
+  for (const tier of [...CONFIG.SAMPLING_TIERS, ...CONFIG.ARCHIVE_TIERS]) {
+    resolutionHours[tier.resolution] = tier.intervalHours;
+  }
+
+  const { history, archive, identities } = buildWorld(sources, {
+    resolutionHours,
+    ...CONFIG.WORLD_OPTIONS,
+  });
+  console.log(
+    `✅ Aligned ${history.length} history and ${archive.length} archive snapshots`
+  );
+
+  const region = {
+    id: world.id,
+    bandDepth: null,
+    fields: [...HistoryCodec.FIELDS, "region"],
+  };
+
+  if (history.length > 0) {
+    writeRegionHistory(region, history, identities, []);
+  }
+  if (archive.length > 0) writeRegionArchive(region, archive);
+  const timeline = getTimeline(history, archive);
+  const players = writeRegionPlayers(region, timeline);
+  const teams = writeRegionTeams(region, timeline);
+  writeRegionAggregates(region, history, archive, teams);
+
+  summary.regions.push({
+    region: world.id,
+    history: describeSnapshots(history),
+    archive: describeSnapshots(archive),
+    bands: describeSnapshots([]),
+    identities: Object.keys(identities).length,
+    players: players.length,
+    quarantined: 0,
+  });
+}
+
+/**
+ * Detect players moving between regions and write MIGRATIONS_FILE
+ * Skipped unless every enabled region was extracted, so a partial run
+ * doesn't drop the other regions' moves.
+ * @param {Array} sources - [{ id, players, identities }] per region
+ */
+function writeMigrations(sources) {
+  const missing = getMissingRegions(sources);
+  if (missing) {
+    console.log(`\n✈️ Skipping region migrations (${missing} not extracted)`);
+    return;
+  }
+
+  const migrations = detectMigrations(sources, CONFIG.MIGRATION_OPTIONS);
+  console.log(`\n✈️ Found ${migrations.length} region migrations`);
+
+  writeOutput(CONFIG.MIGRATIONS_FILE, {
+    generatedAt: new Date().toISOString(),
+    options: { ...MIGRATION_DEFAULTS, ...CONFIG.MIGRATION_OPTIONS },
+    migrations,
+  });
+}
+
+// Run
+try {
+  const options = parseOptions(process.argv.slice(2));
+  if (options.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+  applyOptions(options);
+} catch (error) {
+  console.error(`❌ ${error.message}\n\n${USAGE}`);
+  process.exit(1);
+}
+
+// Keep stdout for the JSON summary
+if (FLAGS.jsonSummary) {
+  console.log = console.error;
 }
 
-// Run
 extractHistory().catch((error) => {
   console.error("Fatal error:", error);
   process.exit(1);
@@ -0,0 +1,277 @@
+#!/usr/bin/env node
+
+/**
+ * Fetch the current leaderboards from the Dota 2 web API
+ *
+ * Writes the top players of each region to leaderboard/<region>.json (the
+ * same layout the history is extracted from) and the API's post times to a
+ * leaderboard/<region>.meta.json sidecar. Regions with a `bandDepth` in
+ * web/js/regions.js also get the ranks past those, down to it, in
+ * leaderboard/<region>.bands.json for the rank bands.
+ *
+ * Every request is retried with backoff and has a timeout. Responses are
+ * checked for the expected shape and ranks (see scripts/lib/validation.js)
+ * before anything is written, so a broken payload never replaces good data.
+ * The sidecar is only rewritten when the leaderboard or its post time
+ * changed, so unchanged data doesn't produce a commit.
+ *
+ * Pass --base-url (or set LEADERBOARD_API_URL) to point it at another
+ * server, e.g. a local mock. Exits non-zero when no region could be fetched.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const Regions = require("../web/js/regions");
+const { validateSnapshots } = require("./lib/validation");
+
+// Configuration
+const CONFIG = {
+  BASE_URL:
+    "https://www.dota2.com/webapi/ILeaderboard/GetDivisionLeaderboard/v0001",
+  REGIONS: Regions.getEnabled(), // From web/js/regions.js
+  OUTPUT_DIR: "leaderboard",
+  TOP_PLAYERS: 500, // Players kept per region (ranks past it go in bands)
+  TIMEOUT_MS: 15000, // Per request
+  RETRIES: 3, // Extra attempts after the first one
+  RETRY_DELAY_MS: 2000, // Doubled after every failed attempt
+  // Roster turnover can't be judged from a single response (a season reset
+  // is legit), so only the shape, size and rank rules apply here
+  VALIDATION_RULES: { maxTurnover: 1 },
+  META_FIELDS: ["time_posted", "next_scheduled_post_time", "server_time"],
+};
+
+/**
+ * Get the value following a command line flag
+ */
+function getArgValue(flag) {
+  const index = process.argv.indexOf(flag);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+const BASE_URL =
+  getArgValue("--base-url") ||
+  process.env.LEADERBOARD_API_URL ||
+  CONFIG.BASE_URL;
+
+/**
+ * Build the API URL for a region
+ */
+function getRegionUrl(region) {
+  const url = new URL(BASE_URL);
+  url.searchParams.set("division", region.division);
+  url.searchParams.set("leaderboard", "0");
+  return url.toString();
+}
+
+/**
+ * Check that a response body looks like a leaderboard
+ * @returns {string|null} Problem description, or null when it looks fine
+ */
+function checkShape(body) {
+  if (!body || typeof body !== "object") {
+    return "response is not a JSON object";
+  }
+  if (!Array.isArray(body.leaderboard) || body.leaderboard.length === 0) {
+    return "missing or empty leaderboard";
+  }
+
+  const invalid = body.leaderboard.findIndex(
+    (player) =>
+      !player ||
+      !Number.isInteger(player.rank) ||
+      typeof player.name !== "string"
+  );
+  if (invalid !== -1) {
+    return `entry ${invalid} has no valid rank and name`;
+  }
+
+  if (typeof body.time_posted !== "number") {
+    return "missing time_posted";
+  }
+  return null;
+}
+
+/**
+ * Fetch and check one region's leaderboard, without retries
+ * @returns {Object} Parsed response body
+ */
+async function fetchOnce(region) {
+  const response = await fetch(getRegionUrl(region), {
+    signal: AbortSignal.timeout(CONFIG.TIMEOUT_MS),
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+
+  let body;
+  try {
+    body = JSON.parse(await response.text());
+  } catch (error) {
+    throw new Error("response is not valid JSON");
+  }
+
+  const problem = checkShape(body);
+  if (problem) {
+    throw new Error(problem);
+  }
+  return body;
+}
+
+/**
+ * Fetch one region's leaderboard, retrying with backoff
+ */
+async function fetchWithRetries(region) {
+  let delay = CONFIG.RETRY_DELAY_MS;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fetchOnce(region);
+    } catch (error) {
+      if (attempt >= CONFIG.RETRIES) {
+        throw error;
+      }
+      console.warn(
+        `  Attempt ${attempt + 1} failed (${
+          error.message
+        }), retrying in ${delay} ms...`
+      );
+      await new Promise((resolve) => setTimeout(resolve, delay));
+      delay *= 2;
+    }
+  }
+}
+
+/**
+ * Read a JSON file, or null when it is missing or unreadable
+ */
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Write JSON the way `jq` did, so diffs stay small
+ */
+function writeJson(file, data) {
+  fs.writeFileSync(file, JSON.stringify(data, null, 2) + "\n");
+}
+
+/**
+ * Turn a player list into a snapshot for the validation rules
+ */
+function toSnapshot(players) {
+  return {
+    timestamp: new Date().toISOString(),
+    players: players.map((player) => ({
+      ...player,
+      id: `${player.name}|${player.country || ""}`,
+    })),
+  };
+}
+
+/**
+ * Fetch a region and write its files
+ * @returns {boolean} Whether the region was fetched successfully
+ */
+async function updateRegion(region) {
+  console.log(`\n🌍 Fetching ${region.id.toUpperCase()} leaderboard...`);
+
+  const file = path.join(CONFIG.OUTPUT_DIR, `${region.id}.json`);
+  const metaFile = path.join(CONFIG.OUTPUT_DIR, `${region.id}.meta.json`);
+  const bandsFile = path.join(CONFIG.OUTPUT_DIR, `${region.id}.bands.json`);
+
+  let body;
+  try {
+    body = await fetchWithRetries(region);
+  } catch (error) {
+    console.error(`❌ Failed to fetch ${region.id}: ${error.message}`);
+    return false;
+  }
+
+  const players = body.leaderboard.slice(0, CONFIG.TOP_PLAYERS);
+  const bandPlayers = region.bandDepth
+    ? body.leaderboard.slice(CONFIG.TOP_PLAYERS, region.bandDepth)
+    : null;
+  const existing = readJson(file);
+
+  // Compare against the current file so a truncated list is caught too
+  const snapshots = Array.isArray(existing)
+    ? [toSnapshot(existing), toSnapshot(players)]
+    : [toSnapshot(players)];
+  const { quarantined } = validateSnapshots(snapshots, CONFIG.VALIDATION_RULES);
+  const rejected = quarantined.find(
+    ({ snapshot }) => snapshot === snapshots[snapshots.length - 1]
+  );
+  if (rejected) {
+    const problems = rejected.problems.join("; ");
+    console.error(
+      `❌ Keeping the current ${region.id} data, new payload is broken: ${problems}`
+    );
+    return false;
+  }
+
+  const meta = {};
+  for (const field of CONFIG.META_FIELDS) {
+    meta[field] = body[field] ?? null;
+  }
+
+  const previousMeta = readJson(metaFile);
+  const changed =
+    JSON.stringify(existing) !== JSON.stringify(players) ||
+    !previousMeta ||
+    previousMeta.time_posted !== meta.time_posted;
+  if (changed) {
+    writeJson(file, players);
+    writeJson(metaFile, meta);
+    console.log(
+      `💾 Written ${players.length} players to ${file} (posted ${new Date(
+        meta.time_posted * 1000
+      ).toISOString()})`
+    );
+
+    if (bandPlayers) {
+      writeJson(bandsFile, bandPlayers);
+      console.log(`💾 Written ${bandPlayers.length} players to ${bandsFile}`);
+    } else if (fs.existsSync(bandsFile)) {
+      // bandDepth was unset, stop committing the deep ranks
+      fs.unlinkSync(bandsFile);
+      console.log(`🗑️ Removed ${bandsFile}`);
+    }
+  } else {
+    console.log(`✅ ${region.id} is unchanged`);
+  }
+
+  return true;
+}
+
+/**
+ * Main fetch function
+ */
+async function fetchLeaderboards() {
+  console.log(`🔗 Using ${BASE_URL}`);
+  fs.mkdirSync(CONFIG.OUTPUT_DIR, { recursive: true });
+
+  let failed = 0;
+  for (const region of CONFIG.REGIONS) {
+    if (!(await updateRegion(region))) failed++;
+  }
+
+  if (failed === CONFIG.REGIONS.length) {
+    console.error("\n❌ No region could be fetched");
+    process.exit(1);
+  }
+  if (failed > 0) {
+    console.warn(`\n⚠️ ${failed} of ${CONFIG.REGIONS.length} regions failed`);
+  } else {
+    console.log("\n✅ All regions fetched!");
+  }
+}
+
+// Run
+fetchLeaderboards().catch((error) => {
+  console.error("Fatal error:", error);
+  process.exit(1);
+});
@@ -0,0 +1,81 @@
+/**
+ * Atom feed rendering
+ *
+ * Renders a feed (RFC 4287) from plain objects. Entry IDs are the caller's:
+ * readers use them to recognise entries they have already shown, so they
+ * must not change between builds.
+ */
+
+/**
+ * Escape text for XML content and attribute values
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+/**
+ * Get an RFC 3339 timestamp
+ */
+function toDate(timestamp) {
+  return new Date(timestamp).toISOString();
+}
+
+/**
+ * Render one entry
+ * @param {Object} entry - { id, title, updated, link, summary, category }
+ */
+function renderEntry(entry) {
+  return [
+    "  <entry>",
+    `    <id>${escapeXml(entry.id)}</id>`,
+    `    <title>${escapeXml(entry.title)}</title>`,
+    `    <updated>${toDate(entry.updated)}</updated>`,
+    `    <link rel="alternate" type="text/html" href="${escapeXml(
+      entry.link
+    )}"/>`,
+    entry.category
+      ? `    <category term="${escapeXml(entry.category)}"/>`
+      : null,
+    `    <summary>${escapeXml(entry.summary)}</summary>`,
+    "  </entry>",
+  ]
+    .filter((line) => line !== null)
+    .join("\n");
+}
+
+/**
+ * Render a feed
+ * `updated` is the newest entry's (or the feed's own when there are none),
+ * so an unchanged feed renders to the same bytes.
+ * @param {Object} feed - { id, title, subtitle, link, self, author, updated,
+ *   entries }, entries newest first
+ * @returns {string} The feed XML
+ */
+function renderAtomFeed(feed) {
+  const updated =
+    feed.entries.length > 0 ? feed.entries[0].updated : feed.updated;
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${escapeXml(feed.id)}</id>`,
+    `  <title>${escapeXml(feed.title)}</title>`,
+    `  <subtitle>${escapeXml(feed.subtitle)}</subtitle>`,
+    `  <updated>${toDate(updated)}</updated>`,
+    `  <link rel="alternate" type="text/html" href="${escapeXml(feed.link)}"/>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(
+      feed.self
+    )}"/>`,
+    `  <author><name>${escapeXml(feed.author)}</name></author>`,
+    ...feed.entries.map(renderEntry),
+    "</feed>",
+    "",
+  ].join("\n");
+}
+
+module.exports = { renderAtomFeed, escapeXml };
@@ -0,0 +1,131 @@
+/**
+ * Streaming git blob reader
+ *
+ * Keeps a single `git cat-file --batch` process open and feeds it
+ * "<commit>:<path>" requests, so reading thousands of blobs costs one
+ * process spawn instead of one per blob.
+ */
+
+const { spawn } = require("child_process");
+
+/**
+ * Open a blob reader
+ * Returns: { read(commitHash, file) -> Promise<string|null>, close() -> Promise }
+ */
+function openBlobReader() {
+  const child = spawn("git", ["cat-file", "--batch"], {
+    stdio: ["pipe", "pipe", "inherit"],
+  });
+
+  // cat-file answers requests in order, so the oldest pending request
+  // always owns the next response in the stream
+  const pending = [];
+  let failure = null;
+
+  // Unread output, kept as chunks and joined once per response so large
+  // blobs arriving in many chunks aren't copied over and over
+  let chunks = [];
+  let length = 0;
+  let current = null; // { contentStart, size } once the header is read
+
+  const take = () => {
+    const buffer = chunks.length === 1 ? chunks[0] : Buffer.concat(chunks);
+    chunks = [];
+    length = 0;
+    return buffer;
+  };
+
+  const keep = (buffer) => {
+    chunks = buffer.length > 0 ? [buffer] : [];
+    length = buffer.length;
+  };
+
+  const fail = (error) => {
+    failure = error;
+    while (pending.length > 0) {
+      pending.shift().reject(error);
+    }
+  };
+
+  const drain = () => {
+    while (pending.length > 0 && length > 0) {
+      if (!current) {
+        const buffer = take();
+        keep(buffer);
+        const headerEnd = buffer.indexOf(0x0a);
+        if (headerEnd === -1) return;
+
+        const header = buffer.toString("utf-8", 0, headerEnd);
+
+        // "<object> missing" - the file did not exist at that commit
+        if (header.endsWith(" missing")) {
+          keep(buffer.subarray(headerEnd + 1));
+          pending.shift().resolve(null);
+          continue;
+        }
+
+        // An ambiguous name is a bad request, not a missing file
+        if (header.endsWith(" ambiguous")) {
+          keep(buffer.subarray(headerEnd + 1));
+          pending.shift().reject(new Error(`git cat-file: ${header}`));
+          continue;
+        }
+
+        // "<oid> <type> <size>" followed by the content and a newline
+        current = {
+          contentStart: headerEnd + 1,
+          size: parseInt(header.split(" ")[2], 10),
+        };
+      }
+
+      const contentEnd = current.contentStart + current.size;
+      if (length < contentEnd + 1) return;
+
+      const buffer = take();
+      const content = buffer.toString(
+        "utf-8",
+        current.contentStart,
+        contentEnd
+      );
+      keep(buffer.subarray(contentEnd + 1));
+      current = null;
+      pending.shift().resolve(content);
+    }
+  };
+
+  child.stdout.on("data", (chunk) => {
+    chunks.push(chunk);
+    length += chunk.length;
+    drain();
+  });
+
+  // Writing after git exited (EPIPE) fails the pending reads instead of
+  // throwing
+  child.stdin.on("error", fail);
+  child.on("error", fail);
+  // Reads after the exit (or close) reject too
+  child.on("exit", (code) => {
+    fail(new Error(`git cat-file exited with code ${code}`));
+  });
+
+  return {
+    read(commitHash, file) {
+      if (failure) return Promise.reject(failure);
+
+      return new Promise((resolve, reject) => {
+        pending.push({ resolve, reject });
+        child.stdin.write(`${commitHash}:${file}\n`);
+      });
+    },
+
+    close() {
+      return new Promise((resolve) => {
+        if (child.exitCode !== null) return resolve();
+        child.once("exit", () => resolve());
+        child.stdin.end();
+      });
+    },
+  };
+}
+
+module.exports = { openBlobReader };
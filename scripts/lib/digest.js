@@ -0,0 +1,378 @@
+/**
+ * Leaderboard digest
+ *
+ * Summarizes a region over a period (the snapshots passed in) the way the
+ * weekly write-up does:
+ *   - new entries into and exits from the top `scope`, and the most volatile
+ *     players (Stats.getGeneralStats over the top `scope`)
+ *   - biggest climbers and fallers ending the period in the top `scope`
+ *     (Stats.getWinners / Stats.getLosers), optionally players with a team
+ *     only, like the app's "Pros Only" filter
+ *   - roster moves and rebrands of players in the top `scope`
+ *     (Stats.getTeamChanges with the team registry, see scripts/lib/teams.js)
+ *
+ * The digest is a list of sections (tables and bullet lists) that renders to
+ * Markdown for chat and to a standalone HTML page for email.
+ */
+
+const Stats = require("../../web/js/stats");
+const { escapeXml } = require("./atom");
+
+const DEFAULT_OPTIONS = {
+  scope: 100, // Top N the digest is about
+  count: 10, // Players per climbers/fallers table
+  prosOnly: false, // Only players with a team in the climbers/fallers
+};
+
+/**
+ * Format a timestamp as a day, e.g. "13 Oct 2026"
+ */
+function formatDay(timestamp) {
+  return new Date(timestamp).toLocaleDateString("en-GB", {
+    day: "numeric",
+    month: "short",
+    year: "numeric",
+    timeZone: "UTC",
+  });
+}
+
+/**
+ * Format a rank, or a dash for players off the leaderboard
+ */
+function formatRank(rank) {
+  return rank ? `#${rank}` : "–";
+}
+
+/**
+ * Keep the players of each snapshot within the scope
+ */
+function getScopedSnapshots(snapshots, scope) {
+  return snapshots.map((snapshot) => ({
+    ...snapshot,
+    players: snapshot.players.filter((player) => player.rank <= scope),
+  }));
+}
+
+/**
+ * Map player IDs to their entry in a snapshot
+ */
+function getPlayers(snapshot) {
+  return new Map(
+    snapshot.players.map((player) => [Stats.getPlayerId(player), player])
+  );
+}
+
+/**
+ * Find the players who entered or left the top scope over the period
+ * @returns {Object} { entered, left }, each sorted by rank
+ */
+function getScopeChanges(snapshots, scope) {
+  const first = getPlayers(snapshots[0]);
+  const last = getPlayers(snapshots[snapshots.length - 1]);
+  const inScope = (players, id) =>
+    players.has(id) && players.get(id).rank <= scope;
+
+  const entered = [...last]
+    .filter(([id]) => inScope(last, id) && !inScope(first, id))
+    .map(([id, player]) => ({
+      player,
+      rank: player.rank,
+      previousRank: first.has(id) ? first.get(id).rank : null,
+    }));
+  const left = [...first]
+    .filter(([id]) => inScope(first, id) && !inScope(last, id))
+    .map(([id, player]) => ({
+      player: last.get(id) || player,
+      rank: last.has(id) ? last.get(id).rank : null,
+      previousRank: player.rank,
+    }));
+
+  return {
+    entered: entered.sort((a, b) => a.rank - b.rank),
+    left: left.sort((a, b) => a.previousRank - b.previousRank),
+  };
+}
+
+/**
+ * Get the climbers or fallers for the digest
+ * @param {Function} calculate - Stats.getWinners or Stats.getLosers
+ */
+function getMovers(calculate, playerHistory, opts) {
+  return calculate
+    .call(Stats, playerHistory, Infinity, opts.scope)
+    .filter(
+      (mover) =>
+        !opts.prosOnly || (mover.team_tag && mover.team_tag.trim() !== "")
+    )
+    .slice(0, opts.count);
+}
+
+/**
+ * Get the team changes of players in the top scope at the start or end of
+ * the period, split into transfers and rebrands
+ * @param {Object} teams - Team registry, optional
+ */
+function getRosterMoves(snapshots, teams, scope) {
+  const first = getPlayers(snapshots[0]);
+  const last = getPlayers(snapshots[snapshots.length - 1]);
+  const inScope = (id) =>
+    [first, last].some(
+      (players) => players.has(id) && players.get(id).rank <= scope
+    );
+
+  const changes = Stats.getTeamChanges(snapshots, 0, teams).filter((change) =>
+    inScope(change.id)
+  );
+  return {
+    transfers: changes.filter((change) => change.type === "transfer"),
+    rebrands: changes.filter((change) => change.type === "rebrand"),
+  };
+}
+
+/**
+ * Group rebrands by team, one line per tag change
+ * @returns {Array} [{ fromTeam, toTeam, names }]
+ */
+function groupRebrands(rebrands) {
+  const groups = new Map();
+  for (const change of rebrands) {
+    const key = `${change.fromTeam}\n${change.toTeam}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        fromTeam: change.fromTeam,
+        toTeam: change.toTeam,
+        names: [],
+      });
+    }
+    groups.get(key).names.push(change.name);
+  }
+  return [...groups.values()];
+}
+
+/**
+ * Describe a player as a table cell
+ */
+function describePlayer(player) {
+  return player.team_tag ? `${player.team_tag}.${player.name}` : player.name;
+}
+
+/**
+ * Build a mover table
+ * @param {string} sign - "+" or "−", shown before the change (both lists
+ *   report it as a positive number of ranks)
+ */
+function getMoverTable(title, movers, sign) {
+  return {
+    title,
+    headers: ["Player", "Change", "From", "To"],
+    rows: movers.map((mover) => [
+      describePlayer(mover),
+      `${sign}${mover.change}`,
+      formatRank(mover.firstRank),
+      formatRank(mover.lastRank),
+    ]),
+  };
+}
+
+/**
+ * Build a table of players entering or leaving the top scope
+ */
+function getScopeTable(title, changes) {
+  return {
+    title,
+    headers: ["Player", "From", "To"],
+    rows: changes.map((change) => [
+      describePlayer(change.player),
+      formatRank(change.previousRank),
+      formatRank(change.rank),
+    ]),
+  };
+}
+
+/**
+ * Build a digest over a period
+ * @param {Array} snapshots - The period's snapshots, oldest to newest, with
+ *   canonical player IDs (at least two)
+ * @param {Object} teams - Team registry, optional
+ * @param {Object} options - Overrides for DEFAULT_OPTIONS, plus `title`
+ * @returns {Object} { title, subtitle, sections }
+ */
+function buildDigest(snapshots, teams = null, options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const top = `Top ${opts.scope}`;
+
+  const scoped = getScopedSnapshots(snapshots, opts.scope);
+  const scopedHistory = Stats.buildPlayerHistory(scoped);
+  const general = Stats.getGeneralStats(scoped, scopedHistory);
+  const { entered, left } = getScopeChanges(snapshots, opts.scope);
+
+  const playerHistory = Stats.buildPlayerHistory(snapshots);
+  const winners = getMovers(Stats.getWinners, playerHistory, opts);
+  const losers = getMovers(Stats.getLosers, playerHistory, opts);
+  const { transfers, rebrands } = getRosterMoves(snapshots, teams, opts.scope);
+
+  const volatile = general.mostVolatile.map(
+    (entry) =>
+      `${describePlayer(scopedHistory[entry.name])} (${
+        entry.totalMovement
+      } ranks moved)`
+  );
+
+  return {
+    title: opts.title,
+    subtitle: `${formatDay(general.dateRange.from)} – ${formatDay(
+      general.dateRange.to
+    )} · ${top}${opts.prosOnly ? " · Pros only" : ""} · ${
+      general.totalSnapshots
+    } snapshots`,
+    sections: [
+      {
+        title: "Summary",
+        items: [
+          // By player ID; getGeneralStats counts names, so renames add up
+          `${entered.length} new in the ${top}, ${left.length} dropped out`,
+          `${transfers.length} roster moves, ${rebrands.length} rebranded players`,
+          ...(volatile.length > 0
+            ? [`Most volatile: ${volatile.join(", ")}`]
+            : []),
+        ],
+      },
+      getMoverTable("📈 Biggest Climbers", winners, "+"),
+      getMoverTable("📉 Biggest Fallers", losers, "−"),
+      {
+        title: "🔁 Roster Moves",
+        items: transfers.map(
+          (change) =>
+            `${change.name}: ${change.fromTeam || "No Team"} → ${
+              change.toTeam || "No Team"
+            }`
+        ),
+      },
+      {
+        title: "🏷️ Rebrands",
+        items: groupRebrands(rebrands).map(
+          (group) =>
+            `${group.fromTeam} → ${group.toTeam} (${group.names.join(", ")})`
+        ),
+      },
+      getScopeTable(`🆕 New in the ${top}`, entered),
+      getScopeTable(`👋 Left the ${top}`, left),
+    ],
+  };
+}
+
+/**
+ * Escape text for Markdown (table cells and list items)
+ */
+function escapeMarkdown(text) {
+  return String(text).replace(/([\\`*_[\]<>|~])/g, "\\$1");
+}
+
+/**
+ * Render a digest as Markdown
+ */
+function renderMarkdown(digest) {
+  const lines = [`# ${escapeMarkdown(digest.title)}`, "", digest.subtitle];
+
+  for (const section of digest.sections) {
+    lines.push("", `## ${section.title}`, "");
+
+    if (section.items) {
+      lines.push(
+        ...(section.items.length > 0
+          ? section.items.map((item) => `- ${escapeMarkdown(item)}`)
+          : ["Nothing this time."])
+      );
+      continue;
+    }
+
+    if (section.rows.length === 0) {
+      lines.push("Nobody this time.");
+      continue;
+    }
+    // Player names left aligned, ranks and changes right aligned
+    const alignments = section.headers.map((header, i) =>
+      i === 0 ? "---" : "---:"
+    );
+    lines.push(
+      `| ${section.headers.join(" | ")} |`,
+      `| ${alignments.join(" | ")} |`,
+      ...section.rows.map(
+        (row) => `| ${row.map((cell) => escapeMarkdown(cell)).join(" | ")} |`
+      )
+    );
+  }
+
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Render a digest as a standalone HTML page
+ * Colours from web/css/styles.css, inlined so the page can be mailed.
+ */
+function renderHtml(digest) {
+  const body = [];
+
+  for (const section of digest.sections) {
+    body.push(`<h2>${escapeXml(section.title)}</h2>`);
+
+    if (section.items) {
+      body.push(
+        section.items.length > 0
+          ? `<ul>\n${section.items
+              .map((item) => `  <li>${escapeXml(item)}</li>`)
+              .join("\n")}\n</ul>`
+          : "<p>Nothing this time.</p>"
+      );
+      continue;
+    }
+
+    if (section.rows.length === 0) {
+      body.push("<p>Nobody this time.</p>");
+      continue;
+    }
+    const row = (cells, tag) =>
+      `  <tr>${cells
+        .map((cell) => `<${tag}>${escapeXml(cell)}</${tag}>`)
+        .join("")}</tr>`;
+    body.push(
+      "<table>",
+      row(section.headers, "th"),
+      ...section.rows.map((cells) => row(cells, "td")),
+      "</table>"
+    );
+  }
+
+  return [
+    "<!DOCTYPE html>",
+    '<html lang="en">',
+    "<head>",
+    '<meta charset="UTF-8" />',
+    `<title>${escapeXml(digest.title)}</title>`,
+    "<style>",
+    "  body { background: #1a1a2e; color: #eaeaea; font-family: 'Segoe UI', Roboto, Helvetica, Arial, sans-serif; max-width: 720px; margin: 2rem auto; padding: 0 1rem; }",
+    "  h1 { color: #e94560; margin-bottom: 0.25rem; }",
+    "  .subtitle { color: #a0a0a0; margin-top: 0; }",
+    "  h2 { border-bottom: 1px solid #16213e; padding-bottom: 0.25rem; }",
+    "  table { border-collapse: collapse; width: 100%; background: #16213e; }",
+    "  th, td { padding: 0.4rem 0.75rem; text-align: right; }",
+    "  th:first-child, td:first-child { text-align: left; }",
+    "  th { color: #a0a0a0; }",
+    "</style>",
+    "</head>",
+    "<body>",
+    `<h1>${escapeXml(digest.title)}</h1>`,
+    `<p class="subtitle">${escapeXml(digest.subtitle)}</p>`,
+    ...body,
+    "</body>",
+    "</html>",
+    "",
+  ].join("\n");
+}
+
+module.exports = {
+  buildDigest,
+  renderMarkdown,
+  renderHtml,
+  DEFAULT_OPTIONS,
+};
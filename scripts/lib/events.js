@@ -0,0 +1,209 @@
+/**
+ * Notable leaderboard events
+ *
+ * Walks a region's snapshots pairwise (each snapshot against the one before
+ * it) and picks out what's worth a line in a feed:
+ *   - leader       a new #1
+ *   - top-enter    a player entering the top topTier
+ *   - top-exit     a player leaving the top topTier (or the leaderboard)
+ *   - jump         a player gaining or losing at least jumpThreshold ranks
+ *                  between two snapshots
+ *   - team-change  a transfer or rebrand, from Stats.getTeamChanges
+ *
+ * An event's `id` (URI-safe) is built from its type, snapshot timestamp and
+ * the player's position in the snapshot the player was taken from, so it
+ * stays the same across rebuilds as long as the snapshot does. Not from the
+ * player ID: identity links and overrides change canonical IDs, and feed
+ * readers would show every past event of the player again.
+ * Only the last maxDays of the history are walked, which stay inside the
+ * hourly sampling tier.
+ */
+
+const Stats = require("../../web/js/stats");
+
+const DEFAULT_OPTIONS = {
+  maxDays: 14, // Days of history walked, counted back from the newest snapshot
+  maxEvents: 100, // Newest events kept
+  topTier: 10, // Entering or leaving the top N
+  jumpThreshold: 100, // Ranks gained or lost between two snapshots
+};
+
+/**
+ * Describe a player for an event
+ */
+function getPlayer(player) {
+  return {
+    id: player.id,
+    name: player.name,
+    country: player.country || null,
+    team_tag: player.team_tag || null,
+  };
+}
+
+/**
+ * Create an event
+ * @param {Array} list - Players the player was taken from (default the
+ *   snapshot's)
+ */
+function createEvent(type, snapshot, player, fields, list = snapshot.players) {
+  return {
+    id: `${type}/${snapshot.timestamp}/${list.indexOf(player) + 1}`,
+    type,
+    timestamp: snapshot.timestamp,
+    player: getPlayer(player),
+    ...fields,
+  };
+}
+
+/**
+ * Find the rank events between two consecutive snapshots
+ */
+function getRankEvents(previous, snapshot, opts) {
+  const events = [];
+  const previousRanks = new Map(
+    previous.players.map((player) => [player.id, player])
+  );
+  const currentRanks = new Map(
+    snapshot.players.map((player) => [player.id, player])
+  );
+
+  const leader = snapshot.players[0];
+  const oldLeader = previous.players[0];
+  if (leader && oldLeader && leader.rank === 1 && leader.id !== oldLeader.id) {
+    const before = previousRanks.get(leader.id);
+    events.push(
+      createEvent("leader", snapshot, leader, {
+        rank: 1,
+        previousRank: before ? before.rank : null,
+        title: `${leader.name} is the new #1`,
+        summary: `Took #1 from ${oldLeader.name}${
+          before ? ` (was #${before.rank})` : ""
+        }`,
+      })
+    );
+  }
+
+  for (const player of snapshot.players) {
+    const before = previousRanks.get(player.id);
+    const previousRank = before ? before.rank : null;
+
+    if (
+      player.rank <= opts.topTier &&
+      (previousRank === null || previousRank > opts.topTier)
+    ) {
+      events.push(
+        createEvent("top-enter", snapshot, player, {
+          rank: player.rank,
+          previousRank,
+          title: `${player.name} entered the top ${opts.topTier} at #${player.rank}`,
+          summary: previousRank
+            ? `Up from #${previousRank}`
+            : "New on the leaderboard",
+        })
+      );
+    }
+
+    if (previousRank !== null) {
+      const change = previousRank - player.rank;
+      if (Math.abs(change) >= opts.jumpThreshold) {
+        const verb = change > 0 ? "climbed" : "fell";
+        events.push(
+          createEvent("jump", snapshot, player, {
+            rank: player.rank,
+            previousRank,
+            title: `${player.name} ${verb} ${Math.abs(change)} ranks to #${
+              player.rank
+            }`,
+            summary: `From #${previousRank} to #${player.rank} in one snapshot`,
+          })
+        );
+      }
+    }
+  }
+
+  for (const player of previous.players) {
+    if (player.rank > opts.topTier) continue;
+
+    const now = currentRanks.get(player.id);
+    if (now && now.rank <= opts.topTier) continue;
+
+    events.push(
+      createEvent(
+        "top-exit",
+        snapshot,
+        player,
+        {
+          rank: now ? now.rank : null,
+          previousRank: player.rank,
+          title: `${player.name} dropped out of the top ${opts.topTier}`,
+          summary: now
+            ? `Down from #${player.rank} to #${now.rank}`
+            : `Left the leaderboard from #${player.rank}`,
+        },
+        previous.players
+      )
+    );
+  }
+
+  return events;
+}
+
+/**
+ * Find the team changes between two consecutive snapshots
+ * @param {Object} teams - Team registry (see scripts/lib/teams.js)
+ */
+function getTeamEvents(previous, snapshot, teams) {
+  const players = new Map(
+    snapshot.players.map((player) => [player.id, player])
+  );
+
+  return Stats.getTeamChanges([previous, snapshot], 0, teams).map((change) => {
+    const from = change.fromTeam || "No Team";
+    const to = change.toTeam || "No Team";
+
+    return createEvent("team-change", snapshot, players.get(change.id), {
+      change: change.type,
+      fromTeam: change.fromTeam,
+      toTeam: change.toTeam,
+      title:
+        change.type === "rebrand"
+          ? `${change.name}'s team rebranded from ${from} to ${to}`
+          : `${change.name} moved from ${from} to ${to}`,
+      summary:
+        change.type === "rebrand"
+          ? "Same team, new tag"
+          : `Team change: ${from} → ${to}`,
+    });
+  });
+}
+
+/**
+ * Detect notable events over a region's snapshots
+ * @param {Array} snapshots - Snapshots ordered oldest to newest, with
+ *   canonical player IDs
+ * @param {Object} teams - Team registry, optional
+ * @param {Object} options - Overrides for DEFAULT_OPTIONS
+ * @returns {Array} Events, newest first
+ */
+function detectEvents(snapshots, teams = null, options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  if (snapshots.length < 2) return [];
+
+  const newest = new Date(snapshots[snapshots.length - 1].timestamp).getTime();
+  const cutoff = newest - opts.maxDays * 24 * 60 * 60 * 1000;
+
+  const events = [];
+  for (let i = 1; i < snapshots.length; i++) {
+    const snapshot = snapshots[i];
+    if (new Date(snapshot.timestamp).getTime() < cutoff) continue;
+
+    events.push(
+      ...getRankEvents(snapshots[i - 1], snapshot, opts),
+      ...getTeamEvents(snapshots[i - 1], snapshot, teams)
+    );
+  }
+
+  return events.reverse().slice(0, opts.maxEvents);
+}
+
+module.exports = { detectEvents, DEFAULT_OPTIONS };
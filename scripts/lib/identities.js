@@ -0,0 +1,291 @@
+/**
+ * Player identity resolution
+ *
+ * Raw player keys are `name|country`, so a rename or a newly set country
+ * splits one person into two histories. This pass walks snapshots oldest to
+ * newest and links a key seen for the first time to a key that disappeared
+ * shortly before, when the evidence agrees:
+ *   - same name with a changed or newly set country, at a nearby rank
+ *   - same team_id, at a nearby rank
+ *   - no team, same country and an almost identical rank
+ *
+ * Team and solo matches are not made near the bottom of the list, where
+ * players enter and leave all the time: two teammates swapping places
+ * there (one drops off as the other enters) would merge into one identity.
+ *
+ * Linked keys share a stable canonical ID: the first key of the identity.
+ *
+ * Manual overrides (leaderboard/identities.json) correct what the heuristics
+ * get wrong: `merge` joins IDs, `split` gives a collided ID a new ID within a
+ * date range, and `names` pins the display name of an ID.
+ */
+
+const DEFAULT_OPTIONS = {
+  rankWindow: 25, // Max rank difference for name or team_id matches
+  soloRankWindow: 2, // Max rank difference for matches without a team
+  cutoffMargin: 50, // Ignore team and solo matches this close to the bottom
+  maxGapHours: 6, // How long a disappeared key stays a link candidate
+};
+
+/**
+ * Get the raw key of a player record
+ */
+function getPlayerKey(player) {
+  return `${player.name}|${player.country || ""}`;
+}
+
+/**
+ * Score how well a new record continues a disappeared one
+ * Returns null when they should not be linked (lower is better)
+ */
+function scoreLink(gone, player, listSize, options) {
+  const rankDiff = Math.abs(gone.rank - player.rank);
+  const nearCutoff =
+    Math.max(gone.rank, player.rank) > listSize - options.cutoffMargin;
+
+  if (gone.name === player.name) {
+    return rankDiff <= options.rankWindow ? rankDiff : null;
+  }
+
+  if (gone.team_id && gone.team_id === player.team_id) {
+    return !nearCutoff && rankDiff <= options.rankWindow ? rankDiff : null;
+  }
+
+  if (
+    !gone.team_id &&
+    !player.team_id &&
+    gone.country &&
+    gone.country === player.country &&
+    !nearCutoff &&
+    rankDiff <= options.soloRankWindow
+  ) {
+    // Weaker evidence ranks behind name and team matches
+    return options.rankWindow + rankDiff;
+  }
+
+  return null;
+}
+
+/**
+ * Resolve identities across snapshots
+ * @param {Array} snapshots - Snapshots ordered oldest to newest
+ * @param {Object} options - Overrides for DEFAULT_OPTIONS
+ * @returns {Object} { canonicalOf: Map(key -> canonical ID), links: [...] }
+ */
+function resolveIdentities(snapshots, options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const maxGapMs = opts.maxGapHours * 60 * 60 * 1000;
+
+  const canonicalOf = new Map();
+  const links = [];
+  let candidates = new Map(); // key -> { player, goneAt }
+  let previous = new Map();
+
+  for (const snapshot of snapshots) {
+    const time = new Date(snapshot.timestamp).getTime();
+    const current = new Map();
+    for (const player of snapshot.players) {
+      current.set(getPlayerKey(player), player);
+    }
+
+    // Keys that just disappeared become link candidates
+    for (const [key, player] of previous) {
+      if (!current.has(key)) {
+        candidates.set(key, { player, goneAt: time });
+      }
+    }
+    for (const [key, candidate] of candidates) {
+      if (current.has(key) || time - candidate.goneAt > maxGapMs) {
+        candidates.delete(key);
+      }
+    }
+
+    // Canonical IDs present in this snapshot (a live identity can't be linked)
+    const present = new Set();
+    for (const key of current.keys()) {
+      if (canonicalOf.has(key)) present.add(canonicalOf.get(key));
+    }
+
+    const appeared = [...current.entries()]
+      .filter(([key]) => !canonicalOf.has(key))
+      .sort((a, b) => a[1].rank - b[1].rank);
+
+    for (const [key, player] of appeared) {
+      let best = null;
+      for (const [goneKey, { player: gone }] of candidates) {
+        const canonical = canonicalOf.get(goneKey);
+        if (present.has(canonical)) continue;
+
+        const score = scoreLink(gone, player, snapshot.players.length, opts);
+        if (score !== null && (!best || score < best.score)) {
+          best = { goneKey, canonical, score };
+        }
+      }
+
+      if (best) {
+        canonicalOf.set(key, best.canonical);
+        candidates.delete(best.goneKey);
+        links.push({
+          from: best.goneKey,
+          to: key,
+          timestamp: snapshot.timestamp,
+        });
+      } else {
+        canonicalOf.set(key, key);
+      }
+      present.add(canonicalOf.get(key));
+    }
+
+    // Two keys of one identity in the same snapshot means a link was wrong:
+    // keep the original key (or the best ranked one) and unlink the rest
+    const keysByCanonical = new Map();
+    for (const key of current.keys()) {
+      const canonical = canonicalOf.get(key);
+      if (!keysByCanonical.has(canonical)) keysByCanonical.set(canonical, []);
+      keysByCanonical.get(canonical).push(key);
+    }
+    for (const [canonical, keys] of keysByCanonical) {
+      if (keys.length < 2) continue;
+      const keep = keys.includes(canonical) ? canonical : keys[0];
+      for (const key of keys) {
+        if (key !== keep) canonicalOf.set(key, key);
+      }
+    }
+
+    previous = current;
+  }
+
+  // Drop links that were undone later
+  const validLinks = links.filter(
+    (link) => canonicalOf.get(link.from) === canonicalOf.get(link.to)
+  );
+
+  return { canonicalOf, links: validLinks };
+}
+
+/**
+ * Normalize a region's entry of the overrides file
+ * Each override is tracked in `matched` once it applies to any data.
+ */
+function prepareOverrides(raw = {}) {
+  return {
+    merge: raw.merge || [],
+    split: (raw.split || []).map((split) => ({
+      ...split,
+      fromTime: split.from ? new Date(split.from).getTime() : -Infinity,
+      toTime: split.to ? new Date(split.to).getTime() : Infinity,
+    })),
+    names: raw.names || [],
+    matched: new Set(),
+  };
+}
+
+/**
+ * Apply manual merges to resolved identities
+ * IDs may be raw keys or canonical IDs; all of them join the first one that
+ * exists. A merge only counts as matched when every ID exists.
+ */
+function applyMerges(canonicalOf, overrides) {
+  for (const merge of overrides.merge) {
+    const ids = merge.ids.filter((id) => canonicalOf.has(id));
+    if (ids.length === merge.ids.length) overrides.matched.add(merge);
+    if (ids.length < 2) continue;
+
+    const target = canonicalOf.get(ids[0]);
+    const merged = new Set(ids.map((id) => canonicalOf.get(id)));
+
+    for (const [key, canonical] of canonicalOf) {
+      if (merged.has(canonical)) canonicalOf.set(key, target);
+    }
+  }
+}
+
+/**
+ * List overrides that did not match any player record
+ * @returns {Array} Human readable descriptions
+ */
+function getUnmatchedOverrides(overrides) {
+  const unmatched = (list) =>
+    list.filter((override) => !overrides.matched.has(override));
+
+  return [
+    ...unmatched(overrides.merge).map(
+      (merge) => `merge ${merge.ids.join(" + ")}`
+    ),
+    ...unmatched(overrides.split).map(
+      (split) =>
+        `split ${split.id} (${split.from || "start"} to ${
+          split.to || "now"
+        }) as ${split.as}`
+    ),
+    ...unmatched(overrides.names).map((pin) => `name ${pin.id} = ${pin.name}`),
+  ];
+}
+
+/**
+ * Rewrite player IDs to their canonical identity
+ * @param {Array} snapshots - Snapshots to update in place
+ * @param {Map} canonicalOf - Key -> canonical ID
+ * @param {Object} overrides - Result of prepareOverrides (splits and names)
+ * @returns {Object} Identities with more than one key or name:
+ *   { canonicalId: { names: [...], keys: [...] } } (oldest first)
+ */
+function applyIdentities(
+  snapshots,
+  canonicalOf,
+  overrides = prepareOverrides()
+) {
+  const identities = {};
+
+  for (const snapshot of snapshots) {
+    const time = new Date(snapshot.timestamp).getTime();
+
+    for (const player of snapshot.players) {
+      const key = getPlayerKey(player);
+      let id = canonicalOf.get(key) || key;
+
+      const split = overrides.split.find(
+        (split) =>
+          split.id === id && time >= split.fromTime && time < split.toTime
+      );
+      if (split) {
+        id = split.as;
+        overrides.matched.add(split);
+      }
+      player.id = id;
+
+      // A split key belongs to someone else outside its date range, so it
+      // is not an alias of the new ID
+      if (!identities[id]) identities[id] = { names: [], keys: [] };
+      if (!split && !identities[id].keys.includes(key)) {
+        identities[id].keys.push(key);
+      }
+      if (!identities[id].names.includes(player.name)) {
+        identities[id].names.push(player.name);
+      }
+
+      const pin = overrides.names.find((pin) => pin.id === id);
+      if (pin) {
+        player.name = pin.name;
+        overrides.matched.add(pin);
+      }
+    }
+  }
+
+  for (const [id, identity] of Object.entries(identities)) {
+    if (identity.keys.length < 2 && identity.names.length < 2) {
+      delete identities[id];
+    }
+  }
+
+  return identities;
+}
+
+module.exports = {
+  resolveIdentities,
+  applyIdentities,
+  prepareOverrides,
+  applyMerges,
+  getUnmatchedOverrides,
+  getPlayerKey,
+};
@@ -0,0 +1,108 @@
+/**
+ * Region migration detection
+ *
+ * Finds players who left one region's leaderboard and showed up on another:
+ * the same identity (a shared canonical ID or raw `name|country` key, see
+ * scripts/lib/identities.js) last seen in one region and first seen in
+ * another within maxGapDays. Leaderboards keep players for a while after
+ * they stop playing, so the two may overlap by up to maxOverlapDays. A player
+ * still on the old board is not counted as moved (yet).
+ *
+ * Names without a country are only matched when they are at least
+ * minBareNameLength characters long, short ones are too common.
+ *
+ * Works on the player index rows of each region (see
+ * scripts/lib/player-index.js), so a player moves at most once per pair of
+ * regions.
+ */
+
+const DEFAULT_OPTIONS = {
+  maxGapDays: 14, // Longest time between leaving and arriving
+  maxOverlapDays: 3, // Longest time on both boards
+  minBareNameLength: 4, // Shortest name matched without a country
+};
+
+/**
+ * Check whether a `name|country` key is specific enough to match on
+ */
+function isMatchable(key, opts) {
+  const separator = key.lastIndexOf("|");
+  const name = separator === -1 ? key : key.slice(0, separator);
+  const country = separator === -1 ? "" : key.slice(separator + 1);
+  return Boolean(country) || name.length >= opts.minBareNameLength;
+}
+
+/**
+ * Map every key of a region's players to the canonical ID
+ * @returns {Map} Key -> canonical ID
+ */
+function getKeyIndex(source) {
+  const index = new Map();
+  for (const row of source.players) {
+    index.set(row.id, row.id);
+  }
+  for (const [id, identity] of Object.entries(source.identities)) {
+    for (const key of identity.keys) index.set(key, id);
+  }
+  return index;
+}
+
+/**
+ * Detect players moving between regions
+ * @param {Array} sources - [{ id, players, identities }] per region: the
+ *   region id, its player index rows and its identities
+ * @param {Object} options - Overrides for DEFAULT_OPTIONS
+ * @returns {Array} Migrations, most recent arrival first
+ */
+function detectMigrations(sources, options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const dayMs = 24 * 60 * 60 * 1000;
+  const regions = sources.map((source) => ({
+    ...source,
+    byId: new Map(source.players.map((row) => [row.id, row])),
+    keyIndex: getKeyIndex(source),
+  }));
+
+  const migrations = [];
+  for (const from of regions) {
+    for (const to of regions) {
+      if (from === to) continue;
+
+      for (const arrival of to.players) {
+        const keys = to.identities[arrival.id]?.keys || [arrival.id];
+
+        for (const key of keys) {
+          if (!isMatchable(key, opts)) continue;
+          const departure = from.byId.get(from.keyIndex.get(key));
+          if (!departure || departure.currentRank !== null) continue;
+
+          const leftAt = new Date(departure.lastSeen).getTime();
+          const arrivedAt = new Date(arrival.firstSeen).getTime();
+          if (arrivedAt <= new Date(departure.firstSeen).getTime()) continue;
+          if (arrivedAt - leftAt > opts.maxGapDays * dayMs) continue;
+          if (leftAt - arrivedAt > opts.maxOverlapDays * dayMs) continue;
+
+          migrations.push({
+            from: from.id,
+            to: to.id,
+            fromId: departure.id,
+            toId: arrival.id,
+            name: arrival.name,
+            country: arrival.country,
+            leftAt: departure.lastSeen,
+            arrivedAt: arrival.firstSeen,
+            fromRank: departure.lastRank,
+            toRank: arrival.firstRank,
+          });
+          break;
+        }
+      }
+    }
+  }
+
+  return migrations.sort(
+    (a, b) => new Date(b.arrivedAt) - new Date(a.arrivedAt)
+  );
+}
+
+module.exports = { detectMigrations, DEFAULT_OPTIONS };
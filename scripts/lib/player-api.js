@@ -0,0 +1,105 @@
+/**
+ * Static player API
+ *
+ * Builds the documents under web/data/api/v<SCHEMA_VERSION>/, which GitHub
+ * Pages serves as a read-only API (schema in web/data/README.md):
+ *   - index.json                          regions and where their indexes are
+ *   - <region>/index.json                 every player with their file
+ *   - <region>/players/<slug>.json        one player's summary, teams and ranks
+ *
+ * SCHEMA_VERSION only goes up for breaking changes, which get a new v<N>/
+ * directory. Fields may be added within a version.
+ */
+
+const crypto = require("crypto");
+
+const SCHEMA_VERSION = 1;
+
+/**
+ * Get the file name (without .json) for a player ID
+ * Player IDs hold `|`, spaces and any unicode, so the file gets a readable
+ * ASCII part plus a hash of the full ID. It is stable as long as the
+ * canonical ID is.
+ */
+function getPlayerSlug(playerId) {
+  const readable = playerId
+    .normalize("NFKD")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .slice(0, 32)
+    .replace(/^-+|-+$/g, "");
+  const hash = crypto
+    .createHash("sha1")
+    .update(playerId)
+    .digest("hex")
+    .slice(0, 8);
+  return readable ? `${readable}-${hash}` : hash;
+}
+
+/**
+ * Collect every player's ranks in one pass over the snapshots
+ * @returns {Map} Player ID -> [[timestamp, rank], ...], oldest first
+ */
+function collectRankHistory(snapshots) {
+  const ranks = new Map();
+  for (const snapshot of snapshots) {
+    for (const player of snapshot.players) {
+      if (!ranks.has(player.id)) ranks.set(player.id, []);
+      ranks.get(player.id).push([snapshot.timestamp, player.rank]);
+    }
+  }
+  return ranks;
+}
+
+/**
+ * Build one player's document
+ * @param {Object} row - Player index row (see scripts/lib/player-index.js)
+ * @param {Array} ranks - [[timestamp, rank], ...] for the player
+ */
+function buildPlayerDocument(region, row, ranks, generatedAt) {
+  const { id, name, aliases, country, team_tag, teams, ...summary } = row;
+
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    region,
+    id,
+    slug: getPlayerSlug(id),
+    name,
+    aliases,
+    country,
+    team_tag,
+    summary,
+    teams,
+    ranks,
+    generatedAt,
+  };
+}
+
+/**
+ * Build a region's player listing
+ * @param {Array} rows - Player index rows, in index order
+ */
+function buildRegionIndex(region, rows, generatedAt) {
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    region,
+    players: rows.map((row) => ({
+      id: row.id,
+      name: row.name,
+      aliases: row.aliases,
+      currentRank: row.currentRank,
+      bestRank: row.bestRank,
+      lastSeen: row.lastSeen,
+      file: `players/${getPlayerSlug(row.id)}.json`,
+    })),
+    generatedAt,
+  };
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  getPlayerSlug,
+  collectRankHistory,
+  buildPlayerDocument,
+  buildRegionIndex,
+};
@@ -0,0 +1,159 @@
+/**
+ * Player summary index
+ *
+ * One row per player over a region's whole published timeline, so the web
+ * app can search players and fill the player modal without walking every
+ * snapshot:
+ *   - canonical ID, current name and former names (aliases)
+ *   - first/last seen, the rank when first and last seen and in the latest
+ *     snapshot
+ *   - best, worst and average rank (the average is weighted by time held)
+ *   - hours spent in each of the top tiers (top 10, top 100)
+ *   - team history, one entry per team change
+ *   - the region, for the World view (see scripts/lib/world.js)
+ *
+ * A snapshot's ranks count until the next snapshot, capped at maxGapHours so
+ * holes in the data don't count as time held.
+ */
+
+const DEFAULT_OPTIONS = {
+  maxGapHours: 48, // Longest gap between snapshots counted as time held
+  topTiers: [10, 100], // Reported as top<N>Hours
+};
+
+/**
+ * Start the running totals for a player
+ */
+function createEntry(player, timestamp, topTiers) {
+  return {
+    id: player.id,
+    region: player.region,
+    name: player.name,
+    names: [],
+    country: null,
+    team_tag: null,
+    teams: [],
+    firstSeen: timestamp,
+    lastSeen: timestamp,
+    firstRank: player.rank,
+    lastRank: player.rank,
+    bestRank: player.rank,
+    worstRank: player.rank,
+    rankSum: 0,
+    rankHours: 0,
+    snapshots: 0,
+    plainRankSum: 0,
+    tierHours: topTiers.map(() => 0),
+  };
+}
+
+/**
+ * Add one snapshot appearance to a player's totals
+ * @param {number} hours - Time until the next snapshot (capped)
+ */
+function addAppearance(entry, player, timestamp, hours, topTiers) {
+  if (!entry.names.includes(player.name)) entry.names.push(player.name);
+  entry.name = player.name;
+  if (player.country) entry.country = player.country;
+
+  const team = player.team_tag || null;
+  const teamId = player.team_id || null;
+  const lastTeam = entry.teams[entry.teams.length - 1];
+  if (!lastTeam || lastTeam.team !== team || lastTeam.team_id !== teamId) {
+    entry.teams.push({ team, team_id: teamId, timestamp });
+  }
+  entry.team_tag = team;
+
+  entry.lastSeen = timestamp;
+  entry.lastRank = player.rank;
+  entry.bestRank = Math.min(entry.bestRank, player.rank);
+  entry.worstRank = Math.max(entry.worstRank, player.rank);
+  entry.rankSum += player.rank * hours;
+  entry.rankHours += hours;
+  entry.plainRankSum += player.rank;
+  entry.snapshots++;
+
+  topTiers.forEach((tier, i) => {
+    if (player.rank <= tier) entry.tierHours[i] += hours;
+  });
+}
+
+/**
+ * Build the player index
+ * @param {Array} snapshots - Snapshots ordered oldest to newest, with
+ *   canonical player IDs (see scripts/lib/identities.js)
+ * @param {Object} options - Overrides for DEFAULT_OPTIONS
+ * @returns {Array} Rows ordered by current rank, then best rank
+ */
+function buildPlayerIndex(snapshots, options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const maxGapMs = opts.maxGapHours * 60 * 60 * 1000;
+  const entries = new Map();
+
+  snapshots.forEach((snapshot, i) => {
+    const next = snapshots[i + 1];
+    const gapMs = next
+      ? new Date(next.timestamp).getTime() -
+        new Date(snapshot.timestamp).getTime()
+      : 0;
+    const hours = Math.min(gapMs, maxGapMs) / (60 * 60 * 1000);
+
+    for (const player of snapshot.players) {
+      if (!entries.has(player.id)) {
+        entries.set(
+          player.id,
+          createEntry(player, snapshot.timestamp, opts.topTiers)
+        );
+      }
+      addAppearance(
+        entries.get(player.id),
+        player,
+        snapshot.timestamp,
+        hours,
+        opts.topTiers
+      );
+    }
+  });
+
+  const latest = snapshots[snapshots.length - 1];
+  const currentRanks = new Map(
+    latest ? latest.players.map((player) => [player.id, player.rank]) : []
+  );
+
+  const rows = [...entries.values()].map((entry) => {
+    const row = {
+      id: entry.id,
+      region: entry.region, // World view only
+      name: entry.name,
+      aliases: entry.names.filter((name) => name !== entry.name),
+      country: entry.country,
+      team_tag: entry.team_tag,
+      currentRank: currentRanks.get(entry.id) ?? null,
+      firstRank: entry.firstRank,
+      lastRank: entry.lastRank,
+      bestRank: entry.bestRank,
+      worstRank: entry.worstRank,
+      // A player only seen in the last snapshot has held no time yet
+      avgRank: Math.round(
+        entry.rankHours > 0
+          ? entry.rankSum / entry.rankHours
+          : entry.plainRankSum / entry.snapshots
+      ),
+      firstSeen: entry.firstSeen,
+      lastSeen: entry.lastSeen,
+    };
+    opts.topTiers.forEach((tier, i) => {
+      row[`top${tier}Hours`] = Math.round(entry.tierHours[i]);
+    });
+    row.teams = entry.teams;
+    return row;
+  });
+
+  return rows.sort(
+    (a, b) =>
+      (a.currentRank ?? Infinity) - (b.currentRank ?? Infinity) ||
+      a.bestRank - b.bestRank
+  );
+}
+
+module.exports = { buildPlayerIndex, DEFAULT_OPTIONS };
@@ -0,0 +1,160 @@
+/**
+ * Static player pages
+ *
+ * Players only exist inside the app's player modal, so shared links and
+ * search engines only ever see the front page. This renders a page per
+ * player from web/index.html:
+ *   - the player's title, description, canonical URL and Open Graph /
+ *     Twitter tags, with their share card as the image (see
+ *     scripts/lib/share-cards.js)
+ *   - a <base> pointing back at the site root, so the app's scripts, styles
+ *     and data requests resolve as they do on the front page
+ *   - `data-region` and `data-player-id` on <body>, which App.init uses to
+ *     boot into the player's region with their modal open
+ *
+ * It also adds the pages to the sitemap. Tags the template no longer has
+ * throw, so a reworded index.html can't silently ship pages without them.
+ */
+
+const { escapeXml } = require("./atom");
+
+/**
+ * Escape text for an HTML attribute or element
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Replace one match in the template, or throw when there is none
+ */
+function replaceOnce(html, pattern, replacement, what) {
+  if (!pattern.test(html)) {
+    throw new Error(`Page template has no ${what}`);
+  }
+  return html.replace(pattern, replacement);
+}
+
+/**
+ * Set the content of a <meta> tag
+ * @param {string} attribute - "name" or "property"
+ */
+function setMeta(html, attribute, key, content) {
+  const pattern = new RegExp(
+    `(<meta\\s+${attribute}="${key}"\\s+content=")[^"]*(")`
+  );
+  return replaceOnce(
+    html,
+    pattern,
+    (match, start, end) => `${start}${escapeHtml(content)}${end}`,
+    `${key} meta tag`
+  );
+}
+
+/**
+ * Describe a player in one sentence for search results and link previews
+ * @param {Object} row - Player index row (see scripts/lib/player-index.js)
+ */
+function describePlayer(row, regionName) {
+  const team = row.team_tag ? ` (${row.team_tag})` : "";
+  const standing = row.currentRank
+    ? `is #${row.currentRank} on`
+    : `was last seen at #${row.lastRank} on`;
+  const names =
+    row.aliases && row.aliases.length > 0
+      ? `, also known as ${row.aliases.join(", ")}`
+      : "";
+
+  return `${row.name}${team} ${standing} the ${regionName} Dota 2 leaderboard${names}. Best rank #${row.bestRank}. Rank history, team changes and more.`;
+}
+
+/**
+ * Render a player's page
+ * @param {string} template - web/index.html
+ * @param {Object} page - { url, region, regionName, row, image }
+ * @returns {string} The page HTML
+ */
+function renderPlayerPage(template, { url, region, regionName, row, image }) {
+  const title = `${row.name} - ${regionName} Dota 2 Leaderboard Rank History`;
+  const description = describePlayer(row, regionName);
+  // Pages live at player/<region>/<slug>/
+  const root = "../../../";
+
+  let html = template;
+  html = replaceOnce(
+    html,
+    /<meta charset="UTF-8" \/>/,
+    (match) => `${match}\n    <base href="${root}" />`,
+    "charset meta tag"
+  );
+  html = replaceOnce(
+    html,
+    /<title>[\s\S]*?<\/title>/,
+    () => `<title>${escapeHtml(title)}</title>`,
+    "title"
+  );
+  html = setMeta(html, "name", "title", title);
+  html = setMeta(html, "name", "description", description);
+  html = replaceOnce(
+    html,
+    /(<link rel="canonical" href=")[^"]*(")/,
+    (match, start, end) => `${start}${escapeHtml(url)}${end}`,
+    "canonical link"
+  );
+  html = setMeta(html, "property", "og:type", "profile");
+  html = setMeta(html, "property", "og:url", url);
+  html = setMeta(html, "property", "og:title", title);
+  html = setMeta(html, "property", "og:description", description);
+  html = setMeta(html, "property", "og:image", image);
+  html = setMeta(html, "property", "twitter:url", url);
+  html = setMeta(html, "property", "twitter:title", title);
+  html = setMeta(html, "property", "twitter:description", description);
+  html = setMeta(html, "property", "twitter:image", image);
+  html = replaceOnce(
+    html,
+    /<body>/,
+    () =>
+      `<body data-region="${escapeHtml(region)}" data-player-id="${escapeHtml(
+        row.id
+      )}">`,
+    "body tag"
+  );
+
+  return html;
+}
+
+/**
+ * Render the sitemap with the player pages
+ * Entries under `pagesUrl` are replaced, everything else is kept as is.
+ * @param {string} sitemap - The sitemap template (web/sitemap.template.xml)
+ * @param {Array} pages - [{ url, lastmod }]
+ */
+function renderSitemap(sitemap, pagesUrl, pages) {
+  const kept = (sitemap.match(/<url>[\s\S]*?<\/url>/g) || []).filter(
+    (entry) => !entry.includes(`<loc>${escapeXml(pagesUrl)}`)
+  );
+  const added = pages.map((page) =>
+    [
+      "<url>",
+      `    <loc>${escapeXml(page.url)}</loc>`,
+      `    <lastmod>${page.lastmod.slice(0, 10)}</lastmod>`,
+      "    <changefreq>daily</changefreq>",
+      "    <priority>0.6</priority>",
+      "  </url>",
+    ].join("\n")
+  );
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...[...kept, ...added].map((entry) => `  ${entry}`),
+    "</urlset>",
+    "",
+  ].join("\n");
+}
+
+module.exports = { renderPlayerPage, renderSitemap };
@@ -0,0 +1,241 @@
+/**
+ * Share cards
+ *
+ * Renders the 1200x630 images link previews show (og:image):
+ *   - a player card: name, team, region, current and best rank, and a
+ *     sparkline of the rank history
+ *   - a movers card: a region's biggest winners and losers of one day
+ *
+ * Cards are plain SVG in the app's colours. Link previews (Discord, Slack,
+ * X, ...) don't show SVG, so they are also converted to PNG when an SVG
+ * rasterizer is installed (rsvg-convert or ImageMagick); nothing is
+ * downloaded, so without one the build only has the SVGs.
+ */
+
+const { execFileSync } = require("child_process");
+const { escapeXml } = require("./atom");
+
+const WIDTH = 1200;
+const HEIGHT = 630;
+const RASTERIZE_TIMEOUT_MS = 30000; // Per card
+
+// Colours from web/css/styles.css
+const COLORS = {
+  background: "#1a1a2e",
+  panel: "#16213e",
+  accent: "#e94560",
+  positive: "#00ff88",
+  negative: "#ff4757",
+  text: "#eaeaea",
+  muted: "#a0a0a0",
+};
+
+const FONT = "Segoe UI, Roboto, Helvetica, Arial, sans-serif";
+const MAX_SPARKLINE_POINTS = 200; // Longer histories are thinned out
+
+// Tried in order; `args` builds the command line for one conversion
+const RASTERIZERS = [
+  { command: "rsvg-convert", args: (svg, png) => ["-o", png, svg] },
+  { command: "magick", args: (svg, png) => [svg, png] },
+  { command: "convert", args: (svg, png) => [svg, png] },
+];
+
+/**
+ * Shorten text that would overflow its spot
+ */
+function truncate(text, maxLength) {
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+/**
+ * Render a <text> element
+ */
+function text(x, y, content, options) {
+  const { size, color = COLORS.text, weight = 400, anchor = "start" } = options;
+  return `<text x="${x}" y="${y}" font-family="${FONT}" font-size="${size}" font-weight="${weight}" fill="${color}" text-anchor="${anchor}">${content}</text>`;
+}
+
+/**
+ * Wrap card content in the SVG document, background and header
+ * @param {string} heading - Small caps line at the top (already escaped)
+ */
+function renderCard(heading, body) {
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" viewBox="0 0 ${WIDTH} ${HEIGHT}">`,
+    `<rect width="${WIDTH}" height="${HEIGHT}" fill="${COLORS.background}"/>`,
+    `<rect width="${WIDTH}" height="8" fill="${COLORS.accent}"/>`,
+    text(60, 80, heading, { size: 26, color: COLORS.muted, weight: 600 }),
+    ...body,
+    text(WIDTH - 60, HEIGHT - 30, "maakep.github.io/dota2-leaderboard", {
+      size: 22,
+      color: COLORS.muted,
+      anchor: "end",
+    }),
+    "</svg>",
+    "",
+  ].join("\n");
+}
+
+/**
+ * Render a label with a big value under it
+ */
+function renderStat(x, label, value, color = COLORS.text) {
+  return [
+    text(x, 250, label, { size: 24, color: COLORS.muted, weight: 600 }),
+    text(x, 330, value, { size: 76, color, weight: 700 }),
+  ].join("\n");
+}
+
+/**
+ * Render a rank history as a line, rank 1 at the top
+ * Points are placed by time, so gaps in the data stay visible as gaps in
+ * spacing.
+ * @param {Array} ranks - [[timestamp, rank], ...], oldest first
+ * @param {Object} box - { x, y, width, height }
+ */
+function renderSparkline(ranks, box) {
+  const panel = `<rect x="${box.x - 20}" y="${box.y - 20}" width="${
+    box.width + 40
+  }" height="${box.height + 40}" rx="16" fill="${COLORS.panel}"/>`;
+  if (ranks.length < 2) return panel;
+
+  const step = Math.ceil(ranks.length / MAX_SPARKLINE_POINTS);
+  const sampled = ranks.filter(
+    (entry, i) => i % step === 0 || i === ranks.length - 1
+  );
+
+  const times = sampled.map(([timestamp]) => new Date(timestamp).getTime());
+  const values = sampled.map(([, rank]) => rank);
+  const firstTime = times[0];
+  const timeSpan = times[times.length - 1] - firstTime || 1;
+  const best = Math.min(...values);
+  const rankSpan = Math.max(...values) - best || 1;
+
+  const points = sampled.map((entry, i) => {
+    const x = box.x + ((times[i] - firstTime) / timeSpan) * box.width;
+    const y = box.y + ((values[i] - best) / rankSpan) * box.height;
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  });
+
+  return [
+    panel,
+    `<polyline points="${points.join(" ")}" fill="none" stroke="${
+      COLORS.accent
+    }" stroke-width="4" stroke-linejoin="round" stroke-linecap="round"/>`,
+  ].join("\n");
+}
+
+/**
+ * Render a player's card
+ * @param {Object} row - Player index row (see scripts/lib/player-index.js)
+ * @param {Array} ranks - [[timestamp, rank], ...], oldest first
+ */
+function renderPlayerCard(row, ranks, regionName) {
+  const team = row.team_tag
+    ? `<tspan fill="${COLORS.accent}">${escapeXml(
+        truncate(row.team_tag, 12)
+      )}.</tspan>`
+    : "";
+
+  return renderCard(
+    `DOTA 2 LEADERBOARD · ${escapeXml(regionName.toUpperCase())}`,
+    [
+      text(60, 170, `${team}${escapeXml(truncate(row.name, 24))}`, {
+        size: 72,
+        weight: 700,
+      }),
+      renderStat(
+        60,
+        "CURRENT RANK",
+        row.currentRank ? `#${row.currentRank}` : "Unranked"
+      ),
+      renderStat(420, "BEST RANK", `#${row.bestRank}`, COLORS.positive),
+      renderSparkline(ranks, { x: 80, y: 400, width: 1040, height: 130 }),
+    ]
+  );
+}
+
+/**
+ * Render one column of movers
+ * @param {Array} movers - From Stats.getWinners or Stats.getLosers (both
+ *   report `change` as a positive number of ranks)
+ * @param {string} sign - "+" or "−", shown before the change
+ */
+function renderMovers(x, title, movers, color, sign) {
+  const lines = [text(x, 180, title, { size: 34, color, weight: 700 })];
+
+  movers.forEach((mover, i) => {
+    const y = 250 + i * 66;
+    lines.push(
+      text(x, y, `${sign}${mover.change}`, { size: 34, color, weight: 700 }),
+      text(x + 130, y, escapeXml(truncate(mover.name, 16)), { size: 34 }),
+      text(x + 500, y, `#${mover.lastRank}`, {
+        size: 30,
+        color: COLORS.muted,
+        anchor: "end",
+      })
+    );
+  });
+  if (movers.length === 0) {
+    lines.push(text(x, 250, "Nobody", { size: 30, color: COLORS.muted }));
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Render a region's daily movers card
+ * @param {string} date - YYYY-MM-DD
+ */
+function renderMoversCard(regionName, date, winners, losers) {
+  const day = new Date(`${date}T00:00:00Z`).toLocaleDateString("en-GB", {
+    day: "numeric",
+    month: "short",
+    year: "numeric",
+    timeZone: "UTC",
+  });
+
+  return renderCard(
+    `DOTA 2 LEADERBOARD · ${escapeXml(regionName.toUpperCase())} · ${escapeXml(
+      day.toUpperCase()
+    )}`,
+    [
+      renderMovers(60, "▲ Biggest Winners", winners, COLORS.positive, "+"),
+      renderMovers(640, "▼ Biggest Losers", losers, COLORS.negative, "−"),
+    ]
+  );
+}
+
+/**
+ * Find an installed SVG rasterizer
+ * @returns {Object|null} One of RASTERIZERS, null when none is installed
+ */
+function findRasterizer() {
+  for (const rasterizer of RASTERIZERS) {
+    try {
+      execFileSync(rasterizer.command, ["--version"], { stdio: "ignore" });
+      return rasterizer;
+    } catch (error) {
+      // Not installed, try the next one
+    }
+  }
+  return null;
+}
+
+/**
+ * Convert an SVG file to PNG
+ * Throws when the converter fails or takes longer than RASTERIZE_TIMEOUT_MS.
+ */
+function rasterize(rasterizer, svgPath, pngPath) {
+  execFileSync(rasterizer.command, rasterizer.args(svgPath, pngPath), {
+    stdio: "ignore",
+    timeout: RASTERIZE_TIMEOUT_MS,
+  });
+}
+
+module.exports = {
+  renderPlayerCard,
+  renderMoversCard,
+  findRasterizer,
+  rasterize,
+};
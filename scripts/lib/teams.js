@@ -0,0 +1,92 @@
+/**
+ * Team registry
+ *
+ * Snapshots carry each player's team_id next to the team_tag, so a team
+ * renaming its tag can be told apart from its players transferring. The
+ * registry maps every team_id seen over a region's timeline to:
+ *   - its tag history, one entry per tag with the first and last snapshot
+ *     it was seen in
+ *   - its roster over time, one stint per player on the team, from the first
+ *     to the last snapshot they were seen on it
+ *
+ * A team's tag in a snapshot is the one most of its players carry (players
+ * without a tag don't vote). Dropping off the leaderboard doesn't end a
+ * stint, turning up on another team (or none) does.
+ */
+
+/**
+ * Get the tag most players of each team carry in one snapshot
+ * @returns {Map} team_id -> tag (null when nobody carries one)
+ */
+function getSnapshotTags(snapshot) {
+  const votes = new Map(); // team_id -> Map(tag -> players)
+  for (const player of snapshot.players) {
+    if (!player.team_id) continue;
+    if (!votes.has(player.team_id)) votes.set(player.team_id, new Map());
+    if (!player.team_tag) continue;
+
+    const perTag = votes.get(player.team_id);
+    perTag.set(player.team_tag, (perTag.get(player.team_tag) || 0) + 1);
+  }
+
+  const tags = new Map();
+  for (const [teamId, perTag] of votes) {
+    let tag = null;
+    for (const [candidate, count] of perTag) {
+      if (tag === null || count > perTag.get(tag)) tag = candidate;
+    }
+    tags.set(teamId, tag);
+  }
+  return tags;
+}
+
+/**
+ * Build the team registry over a region's timeline
+ * @param {Array} snapshots - Snapshots ordered oldest to newest, with
+ *   canonical player IDs
+ * @returns {Object} team_id -> { tags: [{ tag, from, to }],
+ *   roster: [{ id, name, from, to }] }, both oldest first
+ */
+function buildTeamRegistry(snapshots) {
+  const teams = {};
+  const stints = new Map(); // Player ID -> open roster entry
+
+  for (const snapshot of snapshots) {
+    const { timestamp } = snapshot;
+
+    for (const [teamId, tag] of getSnapshotTags(snapshot)) {
+      if (!teams[teamId]) teams[teamId] = { tags: [], roster: [] };
+      const { tags } = teams[teamId];
+      const last = tags[tags.length - 1];
+
+      if (last && last.tag === tag) {
+        last.to = timestamp;
+      } else {
+        tags.push({ tag, from: timestamp, to: timestamp });
+      }
+    }
+
+    for (const player of snapshot.players) {
+      const teamId = player.team_id || null;
+      const stint = stints.get(player.id);
+
+      if (stint && stint.teamId === teamId) {
+        if (stint.entry) {
+          stint.entry.name = player.name;
+          stint.entry.to = timestamp;
+        }
+        continue;
+      }
+
+      const entry = teamId
+        ? { id: player.id, name: player.name, from: timestamp, to: timestamp }
+        : null;
+      if (entry) teams[teamId].roster.push(entry);
+      stints.set(player.id, { teamId, entry });
+    }
+  }
+
+  return teams;
+}
+
+module.exports = { buildTeamRegistry };
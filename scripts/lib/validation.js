@@ -0,0 +1,141 @@
+/**
+ * Snapshot validation
+ *
+ * Broken API responses show up in the charts as fake mass drops, so every
+ * snapshot is checked before it reaches the history:
+ *   - truncated: far fewer players than the previous valid snapshot
+ *   - duplicate ranks: a rank repeats out of place (ties are fine: the API
+ *     uses competition ranking, so 1, 2, 2, 4 is a valid list)
+ *   - rank gaps: ranks are skipped without a tie to explain it
+ *   - roster turnover: most of the list is replaced in one step and the next
+ *     snapshot doesn't keep the new roster (a season reset does)
+ *
+ * Snapshots that fail are quarantined and left out of the output.
+ */
+
+const DEFAULT_RULES = {
+  minPlayers: 50, // Fewer players than this is always truncated
+  maxShrink: 0.2, // Max share of players lost against the previous snapshot
+  allowTies: true, // Adjacent players sharing a rank (1, 2, 2, 4)
+  maxRankGaps: 0, // Skipped ranks allowed in one snapshot
+  maxTurnover: 0.9, // Max share of players replaced in one step
+  turnoverWindowHours: 48, // Only compare rosters of snapshots this close
+};
+
+/**
+ * Share of the current roster that was not in the reference roster
+ */
+function getTurnover(reference, snapshot) {
+  const ids = new Set(reference.players.map((player) => player.id));
+  const replaced = snapshot.players.filter((player) => !ids.has(player.id));
+  return replaced.length / snapshot.players.length;
+}
+
+/**
+ * Check whether two snapshots are close enough to compare rosters
+ */
+function withinWindow(a, b, rules) {
+  const gapMs = Math.abs(
+    new Date(b.timestamp).getTime() - new Date(a.timestamp).getTime()
+  );
+  return gapMs <= rules.turnoverWindowHours * 60 * 60 * 1000;
+}
+
+/**
+ * Check the ranks of a single snapshot
+ * @returns {Array} Problem descriptions
+ */
+function checkRanks(snapshot, rules) {
+  const problems = [];
+  const duplicates = new Set();
+  let gaps = 0;
+  let shift = 0; // Skipped ranks so far, so one gap is only counted once
+
+  snapshot.players.forEach((player, i) => {
+    const previous = snapshot.players[i - 1];
+    if (previous && previous.rank === player.rank) {
+      if (!rules.allowTies) duplicates.add(player.rank);
+      return;
+    }
+
+    const expected = i + 1 + shift;
+    if (player.rank > expected) {
+      gaps += player.rank - expected;
+      shift += player.rank - expected;
+    } else if (player.rank < expected) {
+      // The extra row takes up a position the following ranks expect
+      duplicates.add(player.rank);
+      shift--;
+    }
+  });
+
+  if (duplicates.size > 0) {
+    problems.push(`duplicate ranks: ${[...duplicates].slice(0, 5).join(", ")}`);
+  }
+  if (gaps > rules.maxRankGaps) {
+    problems.push(`${gaps} skipped ranks`);
+  }
+
+  return problems;
+}
+
+/**
+ * Validate snapshots and split off the bad ones
+ * @param {Array} snapshots - Snapshots ordered oldest to newest
+ * @param {Object} rules - Overrides for DEFAULT_RULES
+ * @returns {Object} { valid: [...], quarantined: [{ snapshot, problems }] }
+ */
+function validateSnapshots(snapshots, rules = {}) {
+  const opts = { ...DEFAULT_RULES, ...rules };
+  const valid = [];
+  const quarantined = [];
+  let previous = null; // Last valid snapshot
+
+  snapshots.forEach((snapshot, i) => {
+    const problems = checkRanks(snapshot, opts);
+    const count = snapshot.players.length;
+
+    if (count < opts.minPlayers) {
+      problems.push(`truncated: ${count} players`);
+    } else if (
+      previous &&
+      count < previous.players.length * (1 - opts.maxShrink)
+    ) {
+      problems.push(
+        `truncated: ${count} players after ${previous.players.length}`
+      );
+    }
+
+    if (
+      problems.length === 0 &&
+      previous &&
+      withinWindow(previous, snapshot, opts)
+    ) {
+      const turnover = getTurnover(previous, snapshot);
+      const next = snapshots[i + 1];
+
+      // A real roster change (season reset) persists into the next snapshot
+      const persists =
+        next &&
+        withinWindow(snapshot, next, opts) &&
+        getTurnover(snapshot, next) <= opts.maxTurnover;
+
+      if (turnover > opts.maxTurnover && !persists) {
+        problems.push(
+          `roster turnover: ${Math.round(turnover * 100)}% replaced`
+        );
+      }
+    }
+
+    if (problems.length > 0) {
+      quarantined.push({ snapshot, problems });
+    } else {
+      valid.push(snapshot);
+      previous = snapshot;
+    }
+  });
+
+  return { valid, quarantined };
+}
+
+module.exports = { validateSnapshots, DEFAULT_RULES };
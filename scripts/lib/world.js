@@ -0,0 +1,210 @@
+/**
+ * Cross-region "World" leaderboard
+ *
+ * Merges the regions' snapshots into one timeline. Regions are fetched one
+ * after another and the API posts them at different times, so snapshots are
+ * aligned by sampling interval (an hour for hourly snapshots, a day for
+ * daily ones) rather than by exact timestamp:
+ *   - a bucket holds at most one snapshot per region, all within one
+ *     interval of the oldest
+ *   - a region without a snapshot in a bucket repeats its previous one, as
+ *     long as that is at most maxLagHours (or one interval) old
+ *   - the World snapshot is dated at the newest snapshot it holds, and lists
+ *     the timestamp it used per region in `sources`
+ *
+ * There is no cross-region rating, so players keep their regional rank and
+ * get a `region`. Players are ordered by rank, then by region order.
+ *
+ * Player IDs stay the regional canonical IDs (so favorites carry over). An
+ * ID claimed by more than one region stays with the region that has it most
+ * often; the others become `<id>@<region>`.
+ */
+
+const DEFAULT_OPTIONS = {
+  maxLagHours: 3, // Oldest snapshot a region repeats into a later bucket
+  resolutionHours: {}, // Snapshot resolution -> bucket size (default 1 hour)
+};
+
+/**
+ * Find the region each player ID and identity key belongs to
+ * Counted over every snapshot; keys of renamed players claim their region
+ * without counting, so a live ID elsewhere wins over an old name.
+ * @param {Array} sources - See buildWorld
+ * @returns {Map} ID or key -> owning region id
+ */
+function getOwners(sources) {
+  const counts = new Map(); // ID -> Map(region -> appearances)
+
+  const claim = (key, regionId, appearances) => {
+    if (!counts.has(key)) counts.set(key, new Map());
+    const perRegion = counts.get(key);
+    perRegion.set(regionId, (perRegion.get(regionId) || 0) + appearances);
+  };
+
+  for (const source of sources) {
+    for (const snapshot of [...source.archive, ...source.history]) {
+      for (const player of snapshot.players) {
+        claim(player.id, source.id, 1);
+      }
+    }
+    for (const identity of Object.values(source.identities)) {
+      for (const key of identity.keys) claim(key, source.id, 0);
+    }
+  }
+
+  // Ties go to the first region in order
+  const owners = new Map();
+  for (const [key, perRegion] of counts) {
+    let owner = null;
+    for (const [regionId, appearances] of perRegion) {
+      if (owner === null || appearances > perRegion.get(owner)) {
+        owner = regionId;
+      }
+    }
+    owners.set(key, owner);
+  }
+  return owners;
+}
+
+/**
+ * Get the World ID of a regional player ID
+ */
+function getWorldId(owners, regionId, playerId) {
+  const owner = owners.get(playerId);
+  return !owner || owner === regionId ? playerId : `${playerId}@${regionId}`;
+}
+
+/**
+ * Map the regions' identities to World IDs
+ * Keys another region owns are dropped. Players with a World-only ID keep no
+ * old keys, so saved favorites aren't moved to an ID the regions don't know.
+ * @returns {Object} World ID -> { names, keys }
+ */
+function mergeIdentities(sources, owners) {
+  const identities = {};
+
+  for (const source of sources) {
+    for (const [id, identity] of Object.entries(source.identities)) {
+      const worldId = getWorldId(owners, source.id, id);
+      const keys =
+        worldId === id
+          ? identity.keys.filter((key) => owners.get(key) === source.id)
+          : [worldId];
+
+      identities[worldId] = { ...identity, keys };
+    }
+  }
+  return identities;
+}
+
+/**
+ * Group the regions' snapshots into buckets of at most one per region
+ * A bucket opens at its oldest snapshot and spans one sampling interval of
+ * that snapshot's resolution, so a round of posts lands in one bucket even
+ * when it crosses the hour.
+ * @returns {Array} [{ timestamp, resolution, hours, snapshots }] oldest
+ *   first; `timestamp` is the newest snapshot in it, `snapshots` is
+ *   region -> snapshot
+ */
+function getBuckets(sources, listName, opts) {
+  const entries = [];
+  for (const source of sources) {
+    for (const snapshot of source[listName]) {
+      entries.push({
+        regionId: source.id,
+        snapshot,
+        time: new Date(snapshot.timestamp).getTime(),
+      });
+    }
+  }
+  entries.sort((a, b) => a.time - b.time);
+
+  const buckets = [];
+  let bucket = null;
+  for (const { regionId, snapshot, time } of entries) {
+    if (
+      !bucket ||
+      bucket.snapshots[regionId] ||
+      time - bucket.start >= bucket.hours * 60 * 60 * 1000
+    ) {
+      bucket = {
+        start: time,
+        timestamp: null,
+        resolution: snapshot.resolution,
+        hours: opts.resolutionHours[snapshot.resolution] || 1,
+        snapshots: {},
+      };
+      buckets.push(bucket);
+    }
+
+    bucket.snapshots[regionId] = snapshot;
+    bucket.timestamp = snapshot.timestamp;
+  }
+  return buckets;
+}
+
+/**
+ * Align and merge one list of snapshots ("history" or "archive")
+ * @returns {Array} World snapshots ordered oldest to newest
+ */
+function alignSnapshots(sources, listName, owners, opts) {
+  const latest = {}; // Region -> its latest snapshot so far
+  const world = [];
+
+  for (const bucket of getBuckets(sources, listName, opts)) {
+    Object.assign(latest, bucket.snapshots);
+    const bucketEnd = new Date(bucket.timestamp).getTime();
+    const maxLagMs = Math.max(opts.maxLagHours, bucket.hours) * 60 * 60 * 1000;
+
+    const sourceTimes = {};
+    const players = [];
+    for (const source of sources) {
+      const snapshot = latest[source.id];
+      if (!snapshot) continue;
+      if (bucketEnd - new Date(snapshot.timestamp).getTime() > maxLagMs) {
+        continue;
+      }
+
+      sourceTimes[source.id] = snapshot.timestamp;
+      for (const player of snapshot.players) {
+        players.push({
+          ...player,
+          id: getWorldId(owners, source.id, player.id),
+          region: source.id,
+        });
+      }
+    }
+
+    // Stable sort: equal ranks stay in region order
+    players.sort((a, b) => a.rank - b.rank);
+
+    world.push({
+      timestamp: bucket.timestamp,
+      resolution: bucket.resolution,
+      sources: sourceTimes,
+      players,
+    });
+  }
+
+  return world;
+}
+
+/**
+ * Build the World history, archive and identities
+ * @param {Array} sources - [{ id, history, archive, identities }] in region
+ *   order, snapshots oldest to newest with canonical player IDs
+ * @param {Object} options - Overrides for DEFAULT_OPTIONS
+ * @returns {Object} { history, archive, identities }
+ */
+function buildWorld(sources, options = {}) {
+  const opts = { ...DEFAULT_OPTIONS, ...options };
+  const owners = getOwners(sources);
+
+  return {
+    history: alignSnapshots(sources, "history", owners, opts),
+    archive: alignSnapshots(sources, "archive", owners, opts),
+    identities: mergeIdentities(sources, owners),
+  };
+}
+
+module.exports = { buildWorld, DEFAULT_OPTIONS };
@@ -0,0 +1,371 @@
+#!/usr/bin/env node
+
+/**
+ * Post watchlist alerts to chat webhooks
+ *
+ * Run after scripts/extract-history.js. For every player in WATCHLIST_FILE
+ * it compares the newest snapshot of their region with the last one it
+ * looked at, and posts a message when the player:
+ *   - crosses one of their rank thresholds, up or down (leaving the
+ *     leaderboard counts as down)
+ *   - changes teams, or their team changes its tag (Stats.getTeamChanges
+ *     with the team registry, see scripts/lib/teams.js)
+ *
+ * Messages are posted as `{ content, text }`, which Discord webhooks and
+ * Slack incoming webhooks (and anything compatible) both accept.
+ *
+ * The last snapshot looked at per region and the IDs of the messages sent
+ * are kept in STATE_FILE, saved after every message, so a rerun or a retry
+ * after a failed post never sends anything twice. A post that still fails
+ * after RETRIES is logged and skipped, and its region keeps its last
+ * snapshot so the next run tries it again. Message IDs are built from the
+ * change itself (player, threshold and direction, or teams) and that last
+ * snapshot, not the newest one, so the retry over the wider window still
+ * recognises what already went out. A region without state (first run,
+ * lost cache) is only recorded.
+ *
+ * In CI the state lives in the Actions cache (see
+ * .github/workflows/build-web.yml), saved even when the job fails. When the
+ * newest save is lost anyway and an older state is restored, the alerts
+ * sent since then are sent again.
+ *
+ * The webhook comes from --webhook-url or NOTIFY_WEBHOOK_URL, so it can be
+ * pointed at a local HTTP stand-in for testing. Without one, or with
+ * --dry-run, the messages are only printed and the state is left alone.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const HistoryCodec = require("../web/js/history-codec");
+const Regions = require("../web/js/regions");
+const Stats = require("../web/js/stats");
+
+// Configuration
+const CONFIG = {
+  WATCHLIST_FILE: "leaderboard/watchlist.json",
+  DATA_DIR: "web/data", // Output of scripts/extract-history.js
+  STATE_FILE: ".cache/notify/state.json",
+  THRESHOLDS: [1, 10, 100], // When the watchlist sets none
+  MAX_SENT_IDS: 1000, // Most recent message IDs kept in the state
+  TIMEOUT_MS: 10000, // Per request
+  RETRIES: 2, // Extra attempts after the first one
+  RETRY_DELAY_MS: 2000, // Doubled after every failed attempt
+};
+
+/**
+ * Get the value following a command line flag
+ */
+function getArgValue(flag) {
+  const index = process.argv.indexOf(flag);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+}
+
+const WEBHOOK_URL =
+  getArgValue("--webhook-url") || process.env.NOTIFY_WEBHOOK_URL || null;
+const DRY_RUN = process.argv.includes("--dry-run") || !WEBHOOK_URL;
+
+/**
+ * Read a JSON file, or null when it is missing or unreadable
+ */
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Save the state (never in dry runs)
+ */
+function saveState(state) {
+  if (DRY_RUN) return;
+
+  state.sent = state.sent.slice(-CONFIG.MAX_SENT_IDS);
+  fs.mkdirSync(path.dirname(CONFIG.STATE_FILE), { recursive: true });
+  fs.writeFileSync(CONFIG.STATE_FILE, JSON.stringify(state, null, 2) + "\n");
+}
+
+/**
+ * Load a region's extracted history and team registry
+ * @returns {Object|null} { snapshots, teams }, null when not extracted
+ */
+function loadRegion(region) {
+  const history = readJson(
+    path.join(CONFIG.DATA_DIR, `history-${region.id}.json`)
+  );
+  if (!history) return null;
+
+  // Watchlist entries may use an old name|country key
+  Stats.setIdentities(history.identities);
+
+  const registry = readJson(
+    path.join(CONFIG.DATA_DIR, `teams-${region.id}.json`)
+  );
+  return {
+    snapshots: HistoryCodec.decode(history),
+    teams: registry ? registry.teams : null,
+  };
+}
+
+/**
+ * Pick the snapshot to compare the newest one against
+ * @param {string} since - Last snapshot looked at (from the state)
+ * @returns {Object|null} null when nothing is new
+ */
+function getBaseline(snapshots, since) {
+  const sinceTime = new Date(since).getTime();
+  const newest = snapshots[snapshots.length - 1];
+  if (new Date(newest.timestamp).getTime() <= sinceTime) return null;
+
+  const seen = snapshots.filter(
+    (snapshot) => new Date(snapshot.timestamp).getTime() <= sinceTime
+  );
+  // The last snapshot looked at may have been thinned out since
+  return seen.length > 0
+    ? seen[seen.length - 1]
+    : snapshots[snapshots.length - 2] || null;
+}
+
+/**
+ * Find the threshold a player crossed between two ranks
+ * Entering counts the tightest threshold, leaving the widest one.
+ * @param {number|null} before - Rank (null when not on the leaderboard)
+ * @returns {Object|null} { threshold, entered }
+ */
+function getCrossing(before, after, thresholds) {
+  const crossed = thresholds.filter(
+    (threshold) =>
+      (before !== null && before <= threshold) !==
+      (after !== null && after <= threshold)
+  );
+  if (crossed.length === 0) return null;
+
+  const entered = after !== null && (before === null || after < before);
+  return {
+    threshold: entered ? Math.min(...crossed) : Math.max(...crossed),
+    entered,
+  };
+}
+
+/**
+ * Find the alerts for the watched players of a region
+ * IDs only depend on the baseline and the change, so a later run from the
+ * same baseline gives an alert it already sent the same ID.
+ * @param {Map} watched - Canonical player ID -> thresholds
+ * @returns {Array} [{ id, kind, region, name, ... }]
+ */
+function getAlerts(region, baseline, newest, watched, teams) {
+  const before = new Map(baseline.players.map((p) => [p.id, p]));
+  const after = new Map(newest.players.map((p) => [p.id, p]));
+  const alerts = [];
+
+  for (const [playerId, thresholds] of watched) {
+    const was = before.get(playerId);
+    const is = after.get(playerId);
+    const crossing = getCrossing(
+      was ? was.rank : null,
+      is ? is.rank : null,
+      thresholds
+    );
+    if (!crossing) continue;
+
+    const direction = crossing.entered ? "up" : "down";
+    alerts.push({
+      id: `${region.id}/rank/${playerId}/${direction}${crossing.threshold}/${baseline.timestamp}`,
+      kind: "rank",
+      region,
+      name: (is || was).name,
+      before: was ? was.rank : null,
+      after: is ? is.rank : null,
+      ...crossing,
+    });
+  }
+
+  for (const change of Stats.getTeamChanges([baseline, newest], 0, teams)) {
+    if (!watched.has(change.id)) continue;
+
+    const move = `${change.fromTeam || ""}>${change.toTeam || ""}`;
+    alerts.push({
+      id: `${region.id}/team/${change.id}/${move}/${baseline.timestamp}`,
+      kind: change.type,
+      region,
+      name: change.name,
+      fromTeam: change.fromTeam || "No Team",
+      toTeam: change.toTeam || "No Team",
+    });
+  }
+
+  return alerts;
+}
+
+/**
+ * Write an alert as a chat message
+ * @param {Function} bold - Bold markup of the chat (Discord or Slack)
+ */
+function formatAlert(alert, bold) {
+  const who = `${bold(alert.name)} (${alert.region.fullName})`;
+
+  switch (alert.kind) {
+    case "rank": {
+      const from = alert.before ? `#${alert.before}` : "unranked";
+      if (alert.entered) {
+        return `📈 ${who} entered the top ${alert.threshold}: ${from} → #${alert.after}`;
+      }
+      return alert.after
+        ? `📉 ${who} dropped out of the top ${alert.threshold}: ${from} → #${alert.after}`
+        : `📉 ${who} left the leaderboard (was ${from})`;
+    }
+    case "rebrand":
+      return `🏷️ ${who}'s team rebranded from ${alert.fromTeam} to ${alert.toTeam}`;
+    default:
+      return `🔁 ${who} moved from ${alert.fromTeam} to ${alert.toTeam}`;
+  }
+}
+
+/**
+ * Post one alert, retrying with backoff
+ */
+async function postAlert(alert) {
+  const body = JSON.stringify({
+    content: formatAlert(alert, (text) => `**${text}**`), // Discord
+    text: formatAlert(alert, (text) => `*${text}*`), // Slack
+  });
+  let delay = CONFIG.RETRY_DELAY_MS;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const response = await fetch(WEBHOOK_URL, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body,
+        signal: AbortSignal.timeout(CONFIG.TIMEOUT_MS),
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      return;
+    } catch (error) {
+      if (attempt >= CONFIG.RETRIES) {
+        throw error;
+      }
+      console.warn(
+        `  Attempt ${attempt + 1} failed (${
+          error.message
+        }), retrying in ${delay} ms...`
+      );
+      await new Promise((resolve) => setTimeout(resolve, delay));
+      delay *= 2;
+    }
+  }
+}
+
+/**
+ * Check one region's watched players and send their alerts
+ * @param {Array} entries - Watchlist entries of the region
+ */
+async function notifyRegion(region, entries, watchlist, state) {
+  const data = loadRegion(region);
+  if (!data || data.snapshots.length < 2) {
+    console.warn(`⚠️ No ${region.id} history in ${CONFIG.DATA_DIR}, skipping`);
+    return;
+  }
+
+  const newest = data.snapshots[data.snapshots.length - 1];
+  const since = state.regions[region.id];
+  if (!since && !DRY_RUN) {
+    console.log(`📌 First ${region.id} run, starting from ${newest.timestamp}`);
+    state.regions[region.id] = newest.timestamp;
+    saveState(state);
+    return;
+  }
+
+  // Dry runs without state show what the newest snapshot would send
+  const baseline = since
+    ? getBaseline(data.snapshots, since)
+    : data.snapshots[data.snapshots.length - 2];
+  if (!baseline) {
+    console.log(`✅ No new ${region.id} snapshot since ${since}`);
+    return;
+  }
+
+  const watched = new Map(
+    entries.map((entry) => [
+      Stats.getPlayerId({ id: entry.id }),
+      entry.thresholds || watchlist.thresholds || CONFIG.THRESHOLDS,
+    ])
+  );
+  const alerts = getAlerts(
+    region,
+    baseline,
+    newest,
+    watched,
+    data.teams
+  ).filter((alert) => !state.sent.includes(alert.id));
+
+  console.log(
+    `🔔 ${alerts.length} ${region.id} alerts (${baseline.timestamp} → ${newest.timestamp})`
+  );
+
+  let failed = 0;
+  for (const alert of alerts) {
+    if (DRY_RUN) {
+      console.log(`  ${formatAlert(alert, (text) => text)}`);
+      continue;
+    }
+
+    try {
+      await postAlert(alert);
+    } catch (error) {
+      failed++;
+      console.error(`  ❌ Failed to send ${alert.id}: ${error.message}`);
+      continue;
+    }
+    state.sent.push(alert.id);
+    saveState(state);
+    console.log(`  📨 Sent ${alert.id}`);
+  }
+
+  // Check the same snapshots again next run; what was sent is skipped
+  if (failed > 0) {
+    console.warn(`⚠️ ${failed} ${region.id} alerts failed, retrying next run`);
+    return;
+  }
+
+  state.regions[region.id] = newest.timestamp;
+  saveState(state);
+}
+
+/**
+ * Main notify function
+ */
+async function notify() {
+  const watchlist = readJson(CONFIG.WATCHLIST_FILE);
+  if (!watchlist || !Array.isArray(watchlist.players)) {
+    console.log(`📭 No watchlist in ${CONFIG.WATCHLIST_FILE}, nothing to do`);
+    return;
+  }
+
+  if (!WEBHOOK_URL) {
+    console.log("🧪 No webhook URL set, printing the alerts instead");
+  } else if (DRY_RUN) {
+    console.log("🧪 Dry run, printing the alerts instead");
+  }
+
+  const state = readJson(CONFIG.STATE_FILE) || { regions: {}, sent: [] };
+
+  for (const region of Regions.getEnabled()) {
+    const entries = watchlist.players.filter(
+      (entry) => entry.region === region.id
+    );
+    if (entries.length > 0) {
+      await notifyRegion(region, entries, watchlist, state);
+    }
+  }
+}
+
+// Run
+notify().catch((error) => {
+  console.error("Fatal error:", error);
+  process.exit(1);
+});
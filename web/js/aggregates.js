@@ -0,0 +1,62 @@
+/**
+ * Precomputed stats
+ * Loads data/aggregates-<region>.json, the winners, losers and team changes
+ * the extractor computed for the standard time scopes and rank scopes.
+ * Anything not in it (single years, a missing file) is computed client-side
+ * by Stats.
+ */
+
+const Aggregates = {
+  region: null,
+  windows: {}, // Time scope value -> { from, to, snapshots, scopes, teamChanges }
+
+  /**
+   * Load the precomputed stats of a region (empty when there are none)
+   */
+  async load(region) {
+    this.region = region;
+    this.windows = {};
+
+    try {
+      const response = await fetch(`data/aggregates-${region}.json`);
+      if (!response.ok) return;
+      const data = await response.json();
+
+      // Region switched while loading
+      if (region !== this.region) return;
+
+      this.windows = data.windows || {};
+    } catch (error) {
+      console.warn("Precomputed stats not available:", error);
+    }
+  },
+
+  /**
+   * Get a precomputed winners or losers list
+   * @param {string} list - "winners" or "losers"
+   * @param {string} timeScope - Time scope select value ("7", "all", ...)
+   * @param {number} scope - Rank scope
+   * @param {boolean} prosOnly - Only players with a team
+   * @returns {Array|null} null when this combination isn't precomputed
+   */
+  getMovers(list, timeScope, scope, prosOnly) {
+    const windowStats = this.windows[timeScope];
+    const tables = windowStats && windowStats.scopes[scope];
+    if (!tables) return null;
+
+    return prosOnly ? tables.pros[list] : tables[list];
+  },
+
+  /**
+   * Get the precomputed team changes of a window
+   * @param {string} timeScope - Time scope select value ("7", "all", ...)
+   * @returns {Array|null} null when this window isn't precomputed
+   */
+  getTeamChanges(timeScope) {
+    const windowStats = this.windows[timeScope];
+    return (windowStats && windowStats.teamChanges) || null;
+  },
+};
+
+// Export for use in other modules
+window.Aggregates = Aggregates;
@@ -7,14 +7,8 @@ const App = {
   data: null,
   playerHistory: null,
   currentRegion: "europe",
-
-  // Region configuration
-  regions: {
-    americas: { name: "Americas", file: "americas" },
-    europe: { name: "Europe", file: "europe" },
-    sea: { name: "SE Asia", file: "sea" },
-    china: { name: "China", file: "china" },
-  },
+  statsRenderId: 0, // Guards against out-of-order async stats renders
+  historyQueue: Promise.resolve(), // Serializes loading of older history chunks
 
   /**
    * Initialize the application
@@ -27,12 +21,17 @@ const App = {
       // Initialize favorites
       Favorites.init();
 
-      // Setup region selector
+      // Setup region selector and feed links
       this.setupRegionSelector();
+      this.setupFeedLinks();
+      this.setupPlayerSearch();
 
       // Load data for current region
       await this.loadData();
 
+      // Add all-time and per-year options when an archive exists
+      await this.setupArchiveOptions();
+
       // Initialize modules
       this.initModules();
 
@@ -44,16 +43,15 @@ const App = {
       // Set dropdown values from saved preferences
       document.getElementById("winners-scope").value = savedWinnersScope;
       document.getElementById("losers-scope").value = savedLosersScope;
-      document.getElementById("time-scope").value = savedTimeScope;
-      document.getElementById("time-scope-losers").value = savedTimeScope;
-      document.getElementById("favorites-time-scope").value = savedTimeScope;
+      this.setTimeScopeValue(savedTimeScope);
 
       // Render initial state with saved scopes
       this.renderStats(
         parseInt(savedWinnersScope),
         parseInt(savedLosersScope),
-        parseInt(savedTimeScope),
+        document.getElementById("time-scope").value,
       );
+      this.setupBandPager();
       this.renderInitialLeaderboard();
       this.renderFavorites();
       this.setupScopeFilters();
@@ -67,7 +65,7 @@ const App = {
         this.renderStats(
           parseInt(document.getElementById("winners-scope").value),
           parseInt(document.getElementById("losers-scope").value),
-          parseInt(document.getElementById("time-scope").value),
+          document.getElementById("time-scope").value,
         );
         // Re-render leaderboard to update stars
         this.renderInitialLeaderboard();
@@ -77,6 +75,11 @@ const App = {
       document.getElementById("loading").classList.add("hidden");
       document.getElementById("main-content").classList.remove("hidden");
 
+      // Static player pages open on their player
+      if (document.body.dataset.playerId) {
+        PlayerModal.show(document.body.dataset.playerId);
+      }
+
       // Listen for hash changes
       window.addEventListener("hashchange", () => this.handleHashChange());
     } catch (error) {
@@ -87,23 +90,28 @@ const App = {
   },
 
   /**
-   * Get initial region from URL hash or localStorage
+   * Get initial region from the player page, URL hash or localStorage
    */
   getInitialRegion() {
+    // Static player pages (web/player/) set their region
+    const pageRegion = document.body.dataset.region;
+    if (pageRegion && Regions.getView(pageRegion)) {
+      return pageRegion;
+    }
+
     // Check URL hash first
     const hash = window.location.hash.slice(1).toLowerCase();
-    if (hash && this.regions[hash]) {
+    if (hash && Regions.getView(hash)) {
       return hash;
     }
 
     // Fall back to localStorage
     const saved = localStorage.getItem("selectedRegion");
-    if (saved && this.regions[saved]) {
+    if (saved && Regions.getView(saved)) {
       return saved;
     }
 
-    // Default to europe
-    return "europe";
+    return Regions.getDefault().id;
   },
 
   /**
@@ -111,16 +119,43 @@ const App = {
    */
   handleHashChange() {
     const hash = window.location.hash.slice(1).toLowerCase();
-    if (hash && this.regions[hash] && hash !== this.currentRegion) {
+    if (hash && Regions.getView(hash) && hash !== this.currentRegion) {
       this.switchRegion(hash);
     }
   },
 
   /**
-   * Setup region selector pills
+   * Advertise the event feed of each enabled region (written by
+   * scripts/extract-history.js; World has none)
+   */
+  setupFeedLinks() {
+    for (const region of Regions.getEnabled()) {
+      const link = document.createElement("link");
+      link.rel = "alternate";
+      link.type = "application/atom+xml";
+      link.title = `${region.fullName} leaderboard events`;
+      link.href = `feeds/${region.id}.xml`;
+      document.head.appendChild(link);
+    }
+  },
+
+  /**
+   * Setup region selector pills (one per enabled region, plus World)
    */
   setupRegionSelector() {
     const selector = document.getElementById("region-selector");
+    selector.innerHTML = Regions.getViews()
+      .map(
+        (region) => `
+        <button
+          class="region-pill"
+          data-region="${this.escapeAttr(region.id)}"
+          aria-label="View ${this.escapeAttr(region.fullName)} region leaderboard"
+        >
+          ${this.escapeHtml(region.name)}
+        </button>`,
+      )
+      .join("");
     const pills = selector.querySelectorAll(".region-pill");
 
     // Set initial active state
@@ -137,15 +172,102 @@ const App = {
       });
     });
 
-    // Update URL hash to reflect current region
-    window.location.hash = this.currentRegion;
+    // Update URL hash to reflect current region (player pages keep their
+    // URL clean for sharing)
+    if (!document.body.dataset.playerId) {
+      window.location.hash = this.currentRegion;
+    }
+  },
+
+  /**
+   * Setup the player search box (backed by the player index)
+   */
+  setupPlayerSearch() {
+    const input = document.getElementById("player-search");
+    const results = document.getElementById("player-search-results");
+
+    input.addEventListener("input", () =>
+      this.renderSearchResults(input.value),
+    );
+    input.addEventListener("focus", () =>
+      this.renderSearchResults(input.value),
+    );
+    input.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        const first = results.querySelector("li[data-player-id]");
+        if (first) first.click();
+      } else if (e.key === "Escape") {
+        input.value = "";
+        this.renderSearchResults("");
+      }
+    });
+
+    // Close the results when clicking elsewhere
+    document.addEventListener("click", (e) => {
+      if (!e.target.closest(".player-search")) {
+        results.classList.add("hidden");
+      }
+    });
+  },
+
+  /**
+   * Render the player search results for a query
+   */
+  renderSearchResults(query) {
+    const results = document.getElementById("player-search-results");
+    if (!query.trim()) {
+      results.classList.add("hidden");
+      return;
+    }
+
+    const matches = PlayerIndex.search(query);
+    results.classList.remove("hidden");
+
+    if (matches.length === 0) {
+      results.innerHTML = '<li class="no-results">No players found</li>';
+      return;
+    }
+
+    results.innerHTML = matches
+      .map(
+        ({ player, alias }) => `
+      <li data-player-id="${this.escapeAttr(player.id)}">
+        <span class="player-rank-num">${
+          player.currentRank ? `#${player.currentRank}` : "–"
+        }</span>
+        ${Leaderboard.getRegionBadge(player.region)}
+        ${
+          player.team_tag
+            ? `<span class="player-team">${this.escapeHtml(
+                player.team_tag,
+              )}.</span>`
+            : ""
+        }<span class="player-name">${this.escapeHtml(player.name)}</span>
+        ${
+          alias
+            ? `<span class="search-alias">formerly ${this.escapeHtml(
+                alias,
+              )}</span>`
+            : ""
+        }
+      </li>
+    `,
+      )
+      .join("");
+
+    results.querySelectorAll("li[data-player-id]").forEach((li) => {
+      li.addEventListener("click", () => {
+        results.classList.add("hidden");
+        PlayerModal.show(li.dataset.playerId);
+      });
+    });
   },
 
   /**
    * Switch to a different region
    */
   async switchRegion(region) {
-    if (!this.regions[region]) return;
+    if (!Regions.getView(region)) return;
 
     this.currentRegion = region;
     localStorage.setItem("selectedRegion", region);
@@ -163,6 +285,7 @@ const App = {
     try {
       // Reload data for new region
       await this.loadData();
+      await this.setupArchiveOptions();
 
       // Rebuild player history
       this.playerHistory = Stats.buildPlayerHistory(this.data.snapshots);
@@ -173,7 +296,12 @@ const App = {
       });
 
       // Re-initialize player modal with new history
-      PlayerModal.init(this.playerHistory, this.data.snapshots);
+      PlayerModal.init(
+        this.playerHistory,
+        this.data.snapshots,
+        this.data.identities,
+      );
+      document.getElementById("timeline-range").value = "recent";
 
       // Re-render everything
       const winnersScope = parseInt(
@@ -182,7 +310,7 @@ const App = {
       const losersScope = parseInt(
         document.getElementById("losers-scope").value,
       );
-      const timeScope = parseInt(document.getElementById("time-scope").value);
+      const timeScope = document.getElementById("time-scope").value;
 
       this.renderStats(winnersScope, losersScope, timeScope);
       this.renderInitialLeaderboard();
@@ -199,15 +327,32 @@ const App = {
   },
 
   /**
-   * Load history data from JSON file for current region
+   * Load the most recent history chunk for the current region
+   * Older chunks are fetched later on demand (see ensureHistory)
    */
   async loadData() {
-    const response = await fetch(`data/history-${this.currentRegion}.json`);
-    if (!response.ok) {
-      throw new Error(`Failed to load data: ${response.status}`);
+    let [snapshots] = await Promise.all([
+      HistoryLoader.open(this.currentRegion),
+      PlayerIndex.load(this.currentRegion),
+      Aggregates.load(this.currentRegion),
+      Migrations.load(this.currentRegion),
+      Teams.load(this.currentRegion),
+    ]);
+
+    // Need at least two snapshots to show rank changes
+    if (snapshots.length < 2 && HistoryLoader.hasOlder()) {
+      snapshots = (await HistoryLoader.loadOlder()).concat(snapshots);
     }
 
-    this.data = await response.json();
+    this.data = {
+      region: this.currentRegion,
+      snapshots,
+      identities: HistoryLoader.identities,
+    };
+
+    // Old keys (legacy files, saved favorites) follow the rename
+    Stats.setIdentities(this.data.identities);
+    Favorites.resolveAliases(this.data.identities);
 
     if (!this.data.snapshots || this.data.snapshots.length === 0) {
       throw new Error("No snapshots in data");
@@ -233,6 +378,66 @@ const App = {
     this.playerHistory = Stats.buildPlayerHistory(this.data.snapshots);
   },
 
+  /**
+   * Make sure the loaded history covers the last `days` days
+   * @param {number} days - Days to cover (Infinity = everything)
+   */
+  ensureHistory(days) {
+    return this.queueHistoryLoad(() => HistoryLoader.loadDays(days));
+  },
+
+  /**
+   * Load the next older history chunk (when the timeline reaches its start)
+   */
+  loadOlderHistory() {
+    if (document.getElementById("timeline-range").value !== "recent") {
+      return Promise.resolve();
+    }
+    return this.queueHistoryLoad(() => HistoryLoader.loadOlder());
+  },
+
+  /**
+   * Run a chunk load after any pending ones and merge the result
+   */
+  queueHistoryLoad(load) {
+    const region = this.currentRegion;
+
+    this.historyQueue = this.historyQueue
+      .then(async () => {
+        if (region !== this.currentRegion || !HistoryLoader.hasOlder()) {
+          return;
+        }
+
+        const older = await load();
+        if (region === this.currentRegion) {
+          this.mergeOlderSnapshots(older);
+        }
+      })
+      .catch((error) => console.error("Failed to load older history:", error));
+
+    return this.historyQueue;
+  },
+
+  /**
+   * Prepend older snapshots to the loaded history
+   */
+  mergeOlderSnapshots(older) {
+    const snapshots = older.filter((snapshot) => snapshot.players.length > 0);
+    if (snapshots.length === 0) return;
+
+    this.data.snapshots = snapshots.concat(this.data.snapshots);
+    this.playerHistory = Stats.buildPlayerHistory(this.data.snapshots);
+    PlayerModal.setData(this.playerHistory, this.data.snapshots);
+
+    if (document.getElementById("timeline-range").value === "recent") {
+      Timeline.prependSnapshots(snapshots);
+    }
+
+    console.log(
+      `Loaded ${snapshots.length} older snapshots (${this.data.snapshots.length} total)`,
+    );
+  },
+
   /**
    * Initialize all modules
    */
@@ -248,7 +453,7 @@ const App = {
       const losersScope = parseInt(
         document.getElementById("losers-scope").value,
       );
-      const timeScope = parseInt(document.getElementById("time-scope").value);
+      const timeScope = document.getElementById("time-scope").value;
       this.renderStats(winnersScope, losersScope, timeScope);
     };
 
@@ -256,31 +461,238 @@ const App = {
     Timeline.init(this.data.snapshots, (snapshot, previousSnapshot) => {
       Leaderboard.render(snapshot, previousSnapshot, true);
     });
+    Timeline.onReachStart = () => this.loadOlderHistory();
 
     // Initialize player modal
-    PlayerModal.init(this.playerHistory, this.data.snapshots);
+    PlayerModal.init(
+      this.playerHistory,
+      this.data.snapshots,
+      this.data.identities,
+    );
+    PlayerModal.getRangeSnapshots = async (value) =>
+      (await this.getRangeSnapshots(value)).snapshots;
+
+    // Switch the timeline between recent history and archive ranges
+    document
+      .getElementById("timeline-range")
+      .addEventListener("change", (e) => this.setTimelineRange(e.target.value));
+  },
+
+  /**
+   * Add "All Time" and per-year options to every range select
+   * Only shown when the current region has a long-term archive
+   */
+  async setupArchiveOptions() {
+    const years = await Archive.getYears(this.currentRegion);
+    const selectIds = [
+      "time-scope",
+      "time-scope-losers",
+      "favorites-time-scope",
+      "timeline-range",
+      "modal-chart-range",
+    ];
+
+    for (const id of selectIds) {
+      const select = document.getElementById(id);
+      const previousValue = select.value;
+
+      select
+        .querySelectorAll("option[data-archive]")
+        .forEach((option) => option.remove());
+
+      if (years.length > 0) {
+        const options = [
+          { value: "all", label: "All Time" },
+          ...years
+            .slice()
+            .reverse()
+            .map((year) => ({ value: `year-${year}`, label: `${year}` })),
+        ];
+
+        for (const { value, label } of options) {
+          const option = document.createElement("option");
+          option.value = value;
+          option.textContent = label;
+          option.dataset.archive = "true";
+          select.appendChild(option);
+        }
+      }
+
+      // Keep the previous selection if it still exists for this region
+      select.value = previousValue;
+      if (!select.value) {
+        select.value = select.options[0].value === "recent" ? "recent" : "7";
+      }
+    }
+  },
+
+  /**
+   * Set all time scope selects to a value, falling back to "Last Week"
+   */
+  setTimeScopeValue(value) {
+    for (const id of [
+      "time-scope",
+      "time-scope-losers",
+      "favorites-time-scope",
+    ]) {
+      const select = document.getElementById(id);
+      select.value = value;
+      if (!select.value) select.value = "7";
+    }
+  },
+
+  /**
+   * Parse a range select value
+   * "7" → last 7 days of history, "recent" → history loaded so far,
+   * "all" / "year-2025" → long-term archive
+   */
+  parseRange(value) {
+    if (value === "recent") return { recent: true };
+    if (value === "all") return { archive: "all" };
+    if (value.startsWith("year-")) {
+      return { archive: parseInt(value.slice("year-".length)) };
+    }
+    return { days: parseInt(value) || 0 };
+  },
+
+  /**
+   * Resolve a range select value to snapshots and a day window
+   * Archive ranges are loaded lazily on first use
+   * @returns {Object} { snapshots, timeDays }
+   */
+  async getRangeSnapshots(value) {
+    const range = this.parseRange(String(value));
+
+    if (range.archive !== undefined) {
+      const snapshots = await Archive.getSnapshots(
+        this.currentRegion,
+        range.archive,
+      );
+      if (snapshots.length > 0) {
+        return { snapshots, timeDays: 0 };
+      }
+      // Fall back to the full recent history if the archive is unavailable
+      await this.ensureHistory(Infinity);
+      return { snapshots: this.data.snapshots, timeDays: 0 };
+    }
+
+    if (range.days > 0) {
+      await this.ensureHistory(range.days);
+    }
+    return { snapshots: this.data.snapshots, timeDays: range.days || 0 };
+  },
+
+  /**
+   * Switch the timeline to recent history or an archive range
+   */
+  async setTimelineRange(value) {
+    try {
+      const { snapshots } = await this.getRangeSnapshots(value);
+
+      Timeline.init(snapshots, (snapshot, previousSnapshot) => {
+        Leaderboard.render(snapshot, previousSnapshot, true);
+      });
+      this.renderInitialLeaderboard();
+    } catch (error) {
+      console.error("Failed to load timeline range:", error);
+    }
   },
 
   /**
    * Render statistics cards
+   * @param {number} winnersScope - Rank scope for winners
+   * @param {number} losersScope - Rank scope for losers
+   * @param {string} timeScope - Time scope select value (days, "all" or "year-YYYY")
    */
-  renderStats(winnersScope = 500, losersScope = 500, timeDays = 0) {
+  async renderStats(winnersScope = 500, losersScope = 500, timeScope = "0") {
+    const renderId = ++this.statsRenderId;
+
     // Check if we should filter to pros only
     const prosOnly = Leaderboard.teamsOnly;
 
+    // Standard windows are precomputed, no need to wait for their snapshots
+    const precomputedWinners = Aggregates.getMovers(
+      "winners",
+      timeScope,
+      winnersScope,
+      prosOnly,
+    );
+    const precomputedLosers = Aggregates.getMovers(
+      "losers",
+      timeScope,
+      losersScope,
+      prosOnly,
+    );
+    const precomputed = precomputedWinners && precomputedLosers;
+    if (precomputed) {
+      this.renderMovers(precomputedWinners, precomputedLosers);
+    }
+
+    // Nothing left that needs the window's snapshots
+    const precomputedChanges = Aggregates.getTeamChanges(timeScope);
+    if (precomputed && precomputedChanges) {
+      this.renderTeamChanges(precomputedChanges);
+      this.renderRegionMoves(this.parseRange(String(timeScope)).days || 0);
+      return;
+    }
+
+    let range;
+    try {
+      range = await this.getRangeSnapshots(timeScope);
+    } catch (error) {
+      console.error("Failed to load stats range:", error);
+      return;
+    }
+
+    // A newer render started while the archive was loading
+    if (renderId !== this.statsRenderId) return;
+
+    const { snapshots, timeDays } = range;
+    if (!precomputed) {
+      this.renderComputedMovers(
+        snapshots,
+        timeDays,
+        winnersScope,
+        losersScope,
+        prosOnly,
+      );
+    }
+
+    // Render team changes and region moves
+    this.renderTeamChanges(
+      Stats.getTeamChanges(snapshots, timeDays, Teams.teams),
+    );
+    this.renderRegionMoves(timeDays);
+  },
+
+  /**
+   * Compute and render winners and losers for a window client-side
+   */
+  renderComputedMovers(
+    snapshots,
+    timeDays,
+    winnersScope,
+    losersScope,
+    prosOnly,
+  ) {
+    const playerHistory =
+      snapshots === this.data.snapshots
+        ? this.playerHistory
+        : Stats.buildPlayerHistory(snapshots);
+
     let winners = Stats.getWinners(
-      this.playerHistory,
+      playerHistory,
       prosOnly ? 50 : 5, // Fetch more if filtering
       winnersScope,
       timeDays,
-      this.data.snapshots,
+      snapshots,
     );
     let losers = Stats.getLosers(
-      this.playerHistory,
+      playerHistory,
       prosOnly ? 50 : 5, // Fetch more if filtering
       losersScope,
       timeDays,
-      this.data.snapshots,
+      snapshots,
     );
 
     // Filter to pros only if enabled
@@ -293,6 +705,13 @@ const App = {
         .slice(0, 5);
     }
 
+    this.renderMovers(winners, losers);
+  },
+
+  /**
+   * Render the winners and losers lists
+   */
+  renderMovers(winners, losers) {
     // Render winners
     const winnersList = document.getElementById("winners-list");
     winnersList.innerHTML = winners
@@ -302,6 +721,7 @@ const App = {
         <span>
           <span class="player-rank-num">${i + 1}.</span>
           ${Favorites.isFavorite(w.id) ? '<span class="favorite-star small active display-only">★</span>' : ""}
+          ${Leaderboard.getRegionBadge(w.region)}
           ${
             w.team_tag
               ? `<span class="player-team">${this.escapeHtml(
@@ -344,6 +764,7 @@ const App = {
         <span>
           <span class="player-rank-num">${i + 1}.</span>
           ${Favorites.isFavorite(l.id) ? '<span class="favorite-star small active display-only">★</span>' : ""}
+          ${Leaderboard.getRegionBadge(l.region)}
           ${
             l.team_tag
               ? `<span class="player-team">${this.escapeHtml(
@@ -376,9 +797,6 @@ const App = {
         PlayerModal.show(li.dataset.playerId);
       });
     });
-
-    // Render team changes
-    this.renderTeamChanges(timeDays);
   },
 
   /**
@@ -404,12 +822,10 @@ const App = {
   /**
    * Render favorites section
    */
-  renderFavorites() {
+  async renderFavorites() {
     const section = document.getElementById("favorites-section");
     const list = document.getElementById("favorites-list");
-    const timeDays = parseInt(
-      document.getElementById("favorites-time-scope").value,
-    );
+    const timeScope = document.getElementById("favorites-time-scope").value;
 
     const favoriteIds = Favorites.getAll();
 
@@ -427,7 +843,14 @@ const App = {
     const favoriteChanges = [];
 
     // Build history for the time period
-    const history = Stats.buildPlayerHistory(this.data.snapshots, timeDays);
+    let range;
+    try {
+      range = await this.getRangeSnapshots(timeScope);
+    } catch (error) {
+      console.error("Failed to load favorites range:", error);
+      return;
+    }
+    const history = Stats.buildPlayerHistory(range.snapshots, range.timeDays);
 
     for (const playerId of favoriteIds) {
       const playerData = history[playerId];
@@ -456,6 +879,7 @@ const App = {
           name: playerData.name,
           team_tag: playerData.team_tag,
           country: playerData.country,
+          region: playerData.region,
           firstRank,
           lastRank,
           netChange,
@@ -463,6 +887,22 @@ const App = {
           totalDown,
           totalMovement: totalUp + totalDown,
         });
+      } else if (PlayerIndex.get(playerId)) {
+        // Player has no history in this range, show where they were last seen
+        const summary = PlayerIndex.get(playerId);
+        favoriteChanges.push({
+          id: summary.id,
+          name: summary.name,
+          team_tag: summary.team_tag,
+          country: summary.country,
+          region: summary.region,
+          firstRank: summary.lastRank,
+          lastRank: summary.lastRank,
+          netChange: 0,
+          totalUp: 0,
+          totalDown: 0,
+          totalMovement: 0,
+        });
       } else {
         // Player might not have recent history, get latest data
         const latestHistory = this.playerHistory[playerId];
@@ -472,6 +912,7 @@ const App = {
             name: latestHistory.name,
             team_tag: latestHistory.team_tag,
             country: latestHistory.country,
+            region: latestHistory.region,
             firstRank:
               latestHistory.ranks[latestHistory.ranks.length - 1]?.rank || 0,
             lastRank:
@@ -523,6 +964,7 @@ const App = {
             <span>
               <span class="player-rank-num">#${f.lastRank}</span>
               <span class="favorite-star small active display-only">★</span>
+              ${Leaderboard.getRegionBadge(f.region)}
               ${f.team_tag ? `<span class="player-team">${this.escapeHtml(f.team_tag)}.</span>` : ""}
               <span class="player-name">${this.escapeHtml(f.name)}</span>
               ${f.country ? `<img class="player-flag" src="${Stats.getFlagUrl(f.country)}" alt="${f.country}" title="${f.country.toUpperCase()}" onerror="this.style.display='none'">` : ""}
@@ -545,8 +987,7 @@ const App = {
   /**
    * Render team changes section
    */
-  renderTeamChanges(timeDays) {
-    const changes = Stats.getTeamChanges(this.data.snapshots, timeDays);
+  renderTeamChanges(changes) {
     const section = document.getElementById("team-changes-section");
     const list = document.getElementById("team-changes-list");
     const countSpan = document.getElementById("team-changes-count");
@@ -590,15 +1031,30 @@ const App = {
           ? `<span class="new-team">${this.escapeHtml(c.toTeam)}</span>`
           : `<span class="no-team">No Team</span>`;
 
+        // Rebrands: the whole team changed its tag, nobody moved
+        const isRebrand = c.type === "rebrand";
+        const tagHistory = isRebrand
+          ? Teams.getTags(c.toTeamId || c.fromTeamId)
+              .map((entry) => entry.tag || "No Tag")
+              .join(" → ")
+          : "";
+        const typeHtml = isRebrand
+          ? `<span class="change-type" title="${this.escapeAttr(
+              tagHistory ? `Team tags: ${tagHistory}` : "Same team, new tag",
+            )}">Rebrand</span>`
+          : "";
+
         return `
-          <div class="team-change-item" data-player-id="${this.escapeAttr(
-            c.id,
-          )}">
+          <div class="team-change-item${
+            isRebrand ? " team-rebrand" : ""
+          }" data-player-id="${this.escapeAttr(c.id)}">
             ${flagHtml}
+            ${Leaderboard.getRegionBadge(c.region)}
             <span class="player-name">${this.escapeHtml(c.name)}</span>
             ${oldTeam}
-            <span class="team-arrow">→</span>
+            <span class="team-arrow">${isRebrand ? "⇢" : "→"}</span>
             ${newTeam}
+            ${typeHtml}
           </div>
         `;
       })
@@ -612,6 +1068,67 @@ const App = {
     });
   },
 
+  /**
+   * Render the region moves feed
+   * @param {number} timeDays - Only moves in the last `timeDays` days (0 = all time)
+   */
+  renderRegionMoves(timeDays) {
+    const moves = Migrations.getMoves(timeDays);
+    const section = document.getElementById("region-moves-section");
+    const list = document.getElementById("region-moves-list");
+
+    if (moves.length === 0) {
+      section.classList.add("hidden");
+      return;
+    }
+
+    section.classList.remove("hidden");
+    document.getElementById("region-moves-count").textContent =
+      `(${moves.length})`;
+
+    list.innerHTML = moves
+      .map((move) => {
+        // Open the player as they appear in this view
+        const side =
+          move.to === this.currentRegion || Migrations.isWorld()
+            ? "to"
+            : "from";
+        const flagUrl = Stats.getFlagUrl(move.country);
+        const flagHtml = flagUrl
+          ? `<img class="player-flag" src="${flagUrl}" alt="${
+              move.country
+            }" title="${move.country.toUpperCase()}" onerror="this.style.display='none'">`
+          : "";
+        const date = new Date(move.arrivedAt).toLocaleDateString("en-GB", {
+          month: "short",
+          day: "numeric",
+        });
+
+        return `
+          <div class="team-change-item region-move-item" data-player-id="${this.escapeAttr(
+            Migrations.getPlayerId(move, side),
+          )}">
+            ${flagHtml}
+            <span class="player-name">${this.escapeHtml(move.name)}</span>
+            ${Leaderboard.getRegionBadge(move.from)}
+            <span class="move-rank">#${move.fromRank}</span>
+            <span class="team-arrow">→</span>
+            ${Leaderboard.getRegionBadge(move.to)}
+            <span class="move-rank">#${move.toRank}</span>
+            <span class="move-date">${date}</span>
+          </div>
+        `;
+      })
+      .join("");
+
+    // Add click handlers
+    list.querySelectorAll(".region-move-item").forEach((item) => {
+      item.addEventListener("click", () => {
+        PlayerModal.show(item.dataset.playerId);
+      });
+    });
+  },
+
   /**
    * Setup team changes toggle
    */
@@ -693,7 +1210,7 @@ const App = {
     const getScopes = () => ({
       winners: parseInt(winnersSelect.value),
       losers: parseInt(losersSelect.value),
-      time: parseInt(timeSelect.value),
+      time: timeSelect.value,
     });
 
     winnersSelect.addEventListener("change", () => {
@@ -760,6 +1277,68 @@ const App = {
     });
   },
 
+  /**
+   * Setup the button that loads ranks past the top 500
+   */
+  setupBandPager() {
+    document
+      .getElementById("band-pager")
+      .addEventListener("click", () => this.loadNextBand());
+    Leaderboard.onRender = (snapshot) => this.updateBandPager(snapshot);
+  },
+
+  /**
+   * Show the band pager when the next rank band covers a snapshot
+   */
+  updateBandPager(snapshot) {
+    const pager = document.getElementById("band-pager");
+    const band = HistoryLoader.getNextBand();
+    const time = new Date(snapshot.timestamp).getTime();
+    const covered =
+      band &&
+      document.getElementById("timeline-range").value === "recent" &&
+      time >= new Date(band.from).getTime() &&
+      time <= new Date(band.to).getTime();
+
+    pager.classList.toggle("hidden", !covered);
+    if (covered && !pager.disabled) {
+      pager.textContent = `Show ranks ${band.firstRank}–${band.lastRank}`;
+    }
+  },
+
+  /**
+   * Load the next rank band into the loaded history and re-render
+   */
+  loadNextBand() {
+    const region = this.currentRegion;
+    const pager = document.getElementById("band-pager");
+    pager.disabled = true;
+    pager.textContent = "Loading…";
+
+    this.historyQueue = this.historyQueue
+      .then(async () => {
+        if (region !== this.currentRegion) return;
+        if (!(await HistoryLoader.loadNextBand())) return;
+
+        this.playerHistory = Stats.buildPlayerHistory(this.data.snapshots);
+        PlayerModal.setData(this.playerHistory, this.data.snapshots);
+        Leaderboard.render(
+          Timeline.getCurrentSnapshot(),
+          Timeline.getPreviousSnapshot(),
+          false,
+        );
+      })
+      .catch((error) => console.error("Failed to load rank band:", error))
+      .finally(() => {
+        pager.disabled = false;
+        if (Leaderboard.currentSnapshot) {
+          this.updateBandPager(Leaderboard.currentSnapshot);
+        }
+      });
+
+    return this.historyQueue;
+  },
+
   /**
    * Render initial leaderboard (most recent snapshot)
    */
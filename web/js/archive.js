@@ -0,0 +1,75 @@
+/**
+ * Long-term archive loader
+ * Lazily fetches the daily all-time archive (one file per year) for a region
+ */
+
+const Archive = {
+  indexes: {}, // region -> archive index (null when unavailable)
+  yearSnapshots: {}, // "region-year" -> decoded snapshots
+
+  /**
+   * Get the archive index for a region, or null if there is none
+   */
+  async getIndex(region) {
+    if (region in this.indexes) {
+      return this.indexes[region];
+    }
+
+    try {
+      const response = await fetch(`data/archive/${region}.json`);
+      this.indexes[region] = response.ok ? await response.json() : null;
+    } catch (error) {
+      console.warn(`No archive available for ${region}:`, error);
+      this.indexes[region] = null;
+    }
+
+    return this.indexes[region];
+  },
+
+  /**
+   * Get the archived years for a region (oldest first)
+   */
+  async getYears(region) {
+    const index = await this.getIndex(region);
+    return index ? index.years.map((entry) => entry.year) : [];
+  },
+
+  /**
+   * Get archive snapshots for a region
+   * @param {string} region - Region id
+   * @param {string|number} range - "all" or a year
+   * @returns {Array} Snapshots ordered oldest to newest
+   */
+  async getSnapshots(region, range) {
+    const index = await this.getIndex(region);
+    if (!index) return [];
+
+    const entries =
+      range === "all"
+        ? index.years
+        : index.years.filter((entry) => entry.year === range);
+
+    const perYear = await Promise.all(
+      entries.map((entry) => this.loadYear(region, entry)),
+    );
+    return perYear.flat();
+  },
+
+  /**
+   * Fetch and decode a single archive year (cached per session)
+   */
+  async loadYear(region, entry) {
+    const key = `${region}-${entry.year}`;
+    if (!this.yearSnapshots[key]) {
+      const response = await fetch(`data/archive/${entry.file}`);
+      if (!response.ok) {
+        throw new Error(`Failed to load archive: ${response.status}`);
+      }
+      this.yearSnapshots[key] = HistoryCodec.decode(await response.json());
+    }
+    return this.yearSnapshots[key];
+  },
+};
+
+// Export for use in other modules
+window.Archive = Archive;
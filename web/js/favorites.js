@@ -45,6 +45,24 @@ const Favorites = {
     }
   },
 
+  /**
+   * Move favorites stored under an old player ID to the canonical ID
+   * @param {Object} identities - Canonical ID -> { names, keys }
+   */
+  resolveAliases(identities) {
+    let changed = false;
+    for (const [id, identity] of Object.entries(identities || {})) {
+      for (const key of identity.keys) {
+        if (key !== id && this.favorites.has(key)) {
+          this.favorites.delete(key);
+          this.favorites.add(id);
+          changed = true;
+        }
+      }
+    }
+    if (changed) this.saveToStorage();
+  },
+
   /**
    * Check if a player is a favorite
    * @param {string} playerId - The player ID
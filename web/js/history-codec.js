@@ -0,0 +1,187 @@
+/**
+ * History file codec
+ * Encodes snapshots into the compact, delta-encoded history format and
+ * decodes both the compact and the legacy format back into full snapshots.
+ * Shared by the web app and scripts/extract-history.js
+ */
+
+const HistoryCodec = {
+  FORMAT: "compact",
+  VERSION: 1,
+
+  // Player fields stored once per unique record in the dictionary
+  FIELDS: ["id", "name", "team_tag", "team_id", "country"],
+
+  /**
+   * Check whether a parsed history file uses the compact format
+   */
+  isCompact(data) {
+    return Boolean(data) && data.format === this.FORMAT;
+  },
+
+  /**
+   * Encode full snapshots into the compact format
+   *
+   * Every unique player record is emitted once in `players`. Each snapshot
+   * then lists dictionary indices in leaderboard order, either in full
+   * (`players`) or as [position, index] changes against the previous
+   * snapshot (`delta`), whichever is smaller. Ranks are implied by position
+   * (position + 1); ties and gaps are listed as [position, rank] pairs
+   * (`rankExceptions`), or as a full `ranks` array when that is smaller.
+   *
+   * @param {Array} snapshots - Snapshots ordered oldest to newest
+   * @param {Object} options
+   * @param {number} options.keyframeInterval - Max snapshots between full lists
+   * @param {Array} options.fields - Player fields to store (default FIELDS)
+   */
+  encode(snapshots, { keyframeInterval = 24, fields = this.FIELDS } = {}) {
+    const players = [];
+    const recordIndex = new Map();
+    const encoded = [];
+
+    let previous = null;
+    let sinceKeyframe = 0;
+
+    for (const snapshot of snapshots) {
+      const { players: list, ...rest } = snapshot;
+      const indices = list.map((player) =>
+        this.getRecordIndex(player, fields, players, recordIndex),
+      );
+
+      const entry = { ...rest };
+      const delta =
+        previous && sinceKeyframe < keyframeInterval - 1
+          ? this.diff(previous, indices)
+          : null;
+
+      if (delta && delta.length * 2 < indices.length) {
+        entry.delta = delta;
+        if (indices.length !== previous.length) {
+          entry.length = indices.length;
+        }
+        sinceKeyframe++;
+      } else {
+        entry.players = indices;
+        sinceKeyframe = 0;
+      }
+      Object.assign(entry, this.encodeRanks(list));
+
+      previous = indices;
+      encoded.push(entry);
+    }
+
+    return {
+      format: this.FORMAT,
+      version: this.VERSION,
+      fields,
+      players,
+      snapshots: encoded,
+    };
+  },
+
+  /**
+   * Decode a parsed history file into full snapshots
+   * Legacy files (full player objects per snapshot) are returned as-is
+   * @param {Object} data - Parsed history file
+   * @returns {Array} Snapshots with full player objects
+   */
+  decode(data) {
+    if (!this.isCompact(data)) {
+      return data.snapshots || [];
+    }
+
+    const records = data.players.map((row) => {
+      const record = {};
+      data.fields.forEach((field, i) => {
+        record[field] = row[i];
+      });
+      return record;
+    });
+
+    let previous = [];
+
+    return data.snapshots.map((entry) => {
+      const {
+        players: full,
+        delta,
+        length,
+        ranks,
+        rankExceptions,
+        ...rest
+      } = entry;
+
+      let indices;
+      if (full) {
+        indices = full;
+      } else {
+        indices = previous.slice(0, length ?? previous.length);
+        for (const [position, index] of delta) {
+          indices[position] = index;
+        }
+      }
+      previous = indices;
+
+      const exceptions = new Map(rankExceptions || []);
+      return {
+        ...rest,
+        players: indices.map((index, i) => ({
+          ...records[index],
+          rank: ranks ? ranks[i] : (exceptions.get(i) ?? i + 1),
+        })),
+      };
+    });
+  },
+
+  /**
+   * Encode the ranks of a snapshot that aren't position + 1
+   * @returns {Object} {} when there are none, else { rankExceptions } or
+   *   { ranks }, whichever is smaller
+   */
+  encodeRanks(list) {
+    const exceptions = [];
+    list.forEach((player, i) => {
+      if (player.rank !== i + 1) exceptions.push([i, player.rank]);
+    });
+
+    if (exceptions.length === 0) return {};
+    return exceptions.length * 2 < list.length
+      ? { rankExceptions: exceptions }
+      : { ranks: list.map((player) => player.rank) };
+  },
+
+  /**
+   * Look up (or add) a player record in the dictionary
+   */
+  getRecordIndex(player, fields, players, recordIndex) {
+    const row = fields.map((field) => player[field] ?? null);
+    const key = JSON.stringify(row);
+
+    let index = recordIndex.get(key);
+    if (index === undefined) {
+      index = players.length;
+      players.push(row);
+      recordIndex.set(key, index);
+    }
+    return index;
+  },
+
+  /**
+   * List [position, index] pairs where the current order differs
+   */
+  diff(previous, current) {
+    const changes = [];
+    for (let i = 0; i < current.length; i++) {
+      if (previous[i] !== current[i]) {
+        changes.push([i, current[i]]);
+      }
+    }
+    return changes;
+  },
+};
+
+// Export for use in other modules (browser) and the extraction script (Node)
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = HistoryCodec;
+} else {
+  window.HistoryCodec = HistoryCodec;
+}
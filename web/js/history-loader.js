@@ -0,0 +1,200 @@
+/**
+ * Chunked history loader
+ * Reads a region's manifest and fetches its weekly history chunks on demand,
+ * newest first. Falls back to the single history-<region>.json file when
+ * no manifest exists.
+ *
+ * Ranks past the top 500 come in separate rank bands (501-1000, 1001-2000,
+ * ...) that are only fetched on request and merged into the loaded chunks.
+ */
+
+const HistoryLoader = {
+  region: null,
+  manifest: null,
+  nextChunkIndex: -1, // Index of the newest chunk not loaded yet
+  identities: {}, // Canonical ID -> { names, keys } for renamed players
+  chunkSnapshots: {}, // Chunk file -> its loaded snapshots
+  bandsLoaded: 0, // Rank bands merged so far (manifest order)
+
+  /**
+   * Open a region and load its most recent history
+   * @returns {Array} Snapshots of the latest chunk (or the full file)
+   */
+  async open(region) {
+    this.region = region;
+    this.manifest = null;
+    this.nextChunkIndex = -1;
+    this.identities = {};
+    this.chunkSnapshots = {};
+    this.bandsLoaded = 0;
+
+    const response = await fetch(`data/${region}/manifest.json`);
+    if (response.ok) {
+      this.manifest = await response.json();
+    }
+
+    if (!this.manifest || this.manifest.chunks.length === 0) {
+      return this.loadFullHistory(region);
+    }
+
+    this.identities = this.manifest.identities || {};
+    this.nextChunkIndex = this.manifest.chunks.length - 1;
+    return this.loadOlder();
+  },
+
+  /**
+   * Load the single-file history (no chunking)
+   */
+  async loadFullHistory(region) {
+    const response = await fetch(`data/history-${region}.json`);
+    if (!response.ok) {
+      throw new Error(`Failed to load data: ${response.status}`);
+    }
+    const data = await response.json();
+    this.identities = data.identities || {};
+    return HistoryCodec.decode(data);
+  },
+
+  /**
+   * Check whether older chunks are still available
+   */
+  hasOlder() {
+    return this.nextChunkIndex >= 0;
+  },
+
+  /**
+   * Load the next older chunk
+   * @returns {Array} Its snapshots (empty when everything is loaded)
+   */
+  async loadOlder() {
+    if (!this.hasOlder()) return [];
+
+    const region = this.region;
+    const chunk = this.manifest.chunks[this.nextChunkIndex];
+    const response = await fetch(
+      `data/${region}/${chunk.file}?v=${chunk.hash}`,
+    );
+    if (!response.ok) {
+      throw new Error(`Failed to load chunk: ${response.status}`);
+    }
+    const snapshots = HistoryCodec.decode(await response.json());
+
+    // Bring the chunk to the same depth as the ones already loaded
+    for (const band of this.getBands().slice(0, this.bandsLoaded)) {
+      if (region !== this.region) break;
+      if (band.chunks[chunk.file]) {
+        this.mergeBand(snapshots, await this.fetchBandChunk(band, chunk.file));
+      }
+    }
+
+    // Region switched while loading
+    if (region !== this.region) return [];
+
+    this.chunkSnapshots[chunk.file] = snapshots;
+    this.nextChunkIndex--;
+    return snapshots;
+  },
+
+  /**
+   * Get the rank bands listed in the manifest
+   */
+  getBands() {
+    return (this.manifest && this.manifest.bands) || [];
+  },
+
+  /**
+   * Get the next rank band that is not loaded yet, or null
+   */
+  getNextBand() {
+    return this.getBands()[this.bandsLoaded] || null;
+  },
+
+  /**
+   * Load the next rank band into every loaded chunk
+   * The loaded snapshots are extended in place.
+   * @returns {boolean} Whether a band was added
+   */
+  async loadNextBand() {
+    const band = this.getNextBand();
+    if (!band) return false;
+
+    const region = this.region;
+    const files = Object.keys(this.chunkSnapshots).filter(
+      (file) => band.chunks[file],
+    );
+    const bandChunks = await Promise.all(
+      files.map((file) => this.fetchBandChunk(band, file)),
+    );
+
+    // Region switched while loading
+    if (region !== this.region) return false;
+
+    files.forEach((file, i) => {
+      this.mergeBand(this.chunkSnapshots[file], bandChunks[i]);
+    });
+    this.bandsLoaded++;
+    return true;
+  },
+
+  /**
+   * Fetch one chunk of a rank band, with absolute ranks
+   */
+  async fetchBandChunk(band, file) {
+    const response = await fetch(
+      `data/${this.region}/${band.dir}/${file}?v=${band.chunks[file]}`,
+    );
+    if (!response.ok) {
+      throw new Error(`Failed to load rank band: ${response.status}`);
+    }
+
+    return HistoryCodec.decode(await response.json()).map((snapshot) => ({
+      ...snapshot,
+      players: snapshot.players.map((player) => ({
+        ...player,
+        rank: player.rank + band.rankOffset,
+      })),
+    }));
+  },
+
+  /**
+   * Append band players to the snapshots with the same timestamp
+   */
+  mergeBand(snapshots, bandSnapshots) {
+    const playersAt = new Map(
+      bandSnapshots.map((snapshot) => [snapshot.timestamp, snapshot.players]),
+    );
+    for (const snapshot of snapshots) {
+      const players = playersAt.get(snapshot.timestamp);
+      if (players) snapshot.players.push(...players);
+    }
+  },
+
+  /**
+   * Load all older chunks that overlap the last `days` days
+   * Days count back from the newest snapshot, like the extractor does, so
+   * stale data still loads a full window.
+   * @returns {Array} Newly loaded snapshots, oldest to newest
+   */
+  async loadDays(days) {
+    if (!this.hasOlder()) return [];
+
+    const chunks = this.manifest.chunks;
+    const newest = new Date(chunks[chunks.length - 1].to).getTime();
+    const cutoff = newest - days * 24 * 60 * 60 * 1000;
+    const loaded = [];
+
+    while (
+      this.hasOlder() &&
+      new Date(this.manifest.chunks[this.nextChunkIndex].to).getTime() >= cutoff
+    ) {
+      const snapshots = await this.loadOlder();
+      if (snapshots.length === 0) break;
+      loaded.unshift(...snapshots);
+    }
+
+    return loaded;
+  },
+};
+
+// Export for use in other modules
+window.HistoryLoader = HistoryLoader;
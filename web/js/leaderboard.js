@@ -10,6 +10,7 @@ const Leaderboard = {
   teamsOnly: false, // Filter to show only players with teams
   currentSnapshot: null, // Store current snapshot for re-rendering on filter change
   onFilterChange: null, // Callback when filter changes
+  onRender: null, // Callback after a snapshot is rendered
 
   /**
    * Get animation durations based on timeline speed
@@ -122,6 +123,10 @@ const Leaderboard = {
 
     this.currentPlayers = players;
     this.previousSnapshot = snapshot;
+
+    if (this.onRender) {
+      this.onRender(snapshot);
+    }
   },
 
   /**
@@ -255,7 +260,9 @@ const Leaderboard = {
       <span class="rank ${rankClass}">${player.rank}</span>
       <span class="change ${change.class}">${change.text}</span>
       <span class="team">${player.team_tag || ""}</span>
-      <span class="name">${favoriteHtml}${this.escapeHtml(player.name)}</span>
+      <span class="name">${favoriteHtml}${this.getRegionBadge(
+        player.region,
+      )}${this.escapeHtml(player.name)}</span>
       <span class="flag">${flagHtml}</span>
       <span class="chevron">›</span>
     `;
@@ -327,6 +334,15 @@ const Leaderboard = {
     }
   },
 
+  /**
+   * Get the region badge of a player in the World view ("" elsewhere)
+   */
+  getRegionBadge(regionId) {
+    const region = regionId ? Regions.get(regionId) : null;
+    if (!region) return "";
+    return `<span class="region-badge" title="${region.fullName}">${region.badge}</span>`;
+  },
+
   /**
    * Escape HTML to prevent XSS
    */
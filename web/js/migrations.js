@@ -0,0 +1,93 @@
+/**
+ * Region migrations
+ * Loads data/migrations.json, the players the extractor saw leave one
+ * region's leaderboard and turn up on another (see scripts/lib/migrations.js),
+ * for the "Region moves" feed and the markers in the player modal chart.
+ */
+
+const Migrations = {
+  region: null,
+  moves: null, // Every detected move, most recent arrival first
+
+  /**
+   * Select the region (or World) and load the moves once
+   */
+  async load(region) {
+    this.region = region;
+    if (this.moves) return;
+
+    try {
+      const response = await fetch("data/migrations.json");
+      this.moves = response.ok ? (await response.json()).migrations : [];
+    } catch (error) {
+      console.warn("Region migrations not available:", error);
+      this.moves = [];
+    }
+  },
+
+  /**
+   * Check whether the World view is selected
+   */
+  isWorld() {
+    return this.region === Regions.world.id;
+  },
+
+  /**
+   * Get the player ID of one side of a move in the current view
+   * In World, an ID another region owns has its region appended (see
+   * scripts/lib/world.js).
+   * @param {string} side - "from" or "to"
+   */
+  getPlayerId(move, side) {
+    const id = move[`${side}Id`];
+    if (!this.isWorld()) return id;
+
+    const summary = PlayerIndex.get(id);
+    return summary && summary.region && summary.region !== move[side]
+      ? `${id}@${move[side]}`
+      : id;
+  },
+
+  /**
+   * Get the moves into or out of the current region (all of them in World)
+   * @param {number} days - Only moves that arrived in the last `days` days
+   *   (0 = all time)
+   */
+  getMoves(days = 0) {
+    const cutoff = days > 0 ? Date.now() - days * 24 * 60 * 60 * 1000 : 0;
+
+    return (this.moves || []).filter(
+      (move) =>
+        (this.isWorld() ||
+          move.from === this.region ||
+          move.to === this.region) &&
+        new Date(move.arrivedAt).getTime() >= cutoff,
+    );
+  },
+
+  /**
+   * Get the moves of a player in the current view, for chart markers
+   * @returns {Array} [{ move, side, timestamp }] where `side` is the player's
+   *   side of the move: "from" (left at `leftAt`) or "to" (arrived at
+   *   `arrivedAt`)
+   */
+  getPlayerMoves(playerId) {
+    const result = [];
+    for (const move of this.getMoves()) {
+      for (const side of ["from", "to"]) {
+        if (!this.isWorld() && move[side] !== this.region) continue;
+        if (this.getPlayerId(move, side) !== playerId) continue;
+
+        result.push({
+          move,
+          side,
+          timestamp: side === "from" ? move.leftAt : move.arrivedAt,
+        });
+      }
+    }
+    return result;
+  },
+};
+
+// Export for use in other modules
+window.Migrations = Migrations;
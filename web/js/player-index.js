@@ -0,0 +1,79 @@
+/**
+ * Player summary index
+ * Loads data/players-<region>.json (one row per player, see
+ * scripts/lib/player-index.js) for search and the player modal header, so
+ * they don't need the full history. Everything keeps working without it.
+ */
+
+const PlayerIndex = {
+  region: null,
+  players: [], // Rows ordered by current rank, then best rank
+  byId: {}, // Canonical ID -> row
+
+  /**
+   * Load the index of a region (empty when there is none)
+   */
+  async load(region) {
+    this.region = region;
+    this.players = [];
+    this.byId = {};
+
+    try {
+      const response = await fetch(`data/players-${region}.json`);
+      if (!response.ok) return;
+      const data = await response.json();
+
+      // Region switched while loading
+      if (region !== this.region) return;
+
+      this.players = data.players;
+      for (const row of this.players) {
+        this.byId[row.id] = row;
+      }
+    } catch (error) {
+      console.warn("Player index not available:", error);
+    }
+  },
+
+  /**
+   * Get a player's row by ID (old keys of renamed players work too)
+   */
+  get(playerId) {
+    const canonicalId = Stats.getPlayerId({ id: playerId });
+    return this.byId[playerId] || this.byId[canonicalId] || null;
+  },
+
+  /**
+   * Find players by current or former name
+   * Names starting with the query come first, then better ranked players.
+   * @returns {Array} [{ player, alias }] with the matched former name, if any
+   */
+  search(query, limit = 10) {
+    const needle = query.trim().toLowerCase();
+    if (!needle) return [];
+
+    const matches = [];
+    for (const player of this.players) {
+      const names = [player.name, ...player.aliases];
+      const index = names.findIndex((name) =>
+        name.toLowerCase().includes(needle),
+      );
+      if (index === -1) continue;
+
+      matches.push({
+        player,
+        alias: index > 0 ? names[index] : null,
+        prefix: names[index].toLowerCase().startsWith(needle),
+      });
+    }
+
+    // Rows are already in rank order, so a stable sort keeps it per group
+    return matches
+      .sort((a, b) => b.prefix - a.prefix)
+      .slice(0, limit)
+      .map(({ player, alias }) => ({ player, alias }));
+  },
+};
+
+// Export for use in other modules
+window.PlayerIndex = PlayerIndex;
@@ -8,13 +8,17 @@ const PlayerModal = {
   playerHistory: null,
   snapshots: null,
   currentPlayerId: null,
+  currentStats: null,
+  identities: {}, // Canonical ID -> { names, keys } for renamed players
+  getRangeSnapshots: null, // Set by App: async (rangeValue) => snapshots
 
   /**
    * Initialize the modal
    */
-  init(playerHistory, snapshots) {
+  init(playerHistory, snapshots, identities = {}) {
     this.playerHistory = playerHistory;
     this.snapshots = snapshots;
+    this.identities = identities;
     this.modal = document.getElementById("player-modal");
 
     // Close button
@@ -22,6 +26,15 @@ const PlayerModal = {
       .getElementById("modal-close")
       .addEventListener("click", () => this.hide(true));
 
+    // Chart range (recent history or archive)
+    const rangeSelect = document.getElementById("modal-chart-range");
+    if (rangeSelect && !rangeSelect.dataset.bound) {
+      rangeSelect.dataset.bound = "true";
+      rangeSelect.addEventListener("change", () =>
+        this.changeChartRange(rangeSelect.value),
+      );
+    }
+
     // Favorite button
     const favoriteBtn = document.getElementById("modal-favorite-btn");
     if (favoriteBtn) {
@@ -53,6 +66,14 @@ const PlayerModal = {
     });
   },
 
+  /**
+   * Replace the history data (e.g. after older chunks were loaded)
+   */
+  setData(playerHistory, snapshots) {
+    this.playerHistory = playerHistory;
+    this.snapshots = snapshots;
+  },
+
   /**
    * Toggle favorite status for current player
    */
@@ -76,10 +97,18 @@ const PlayerModal = {
 
   /**
    * Show modal for a specific player
+   * The header comes from the player index when it has the player, so
+   * players outside the loaded history can be shown too.
    */
   show(playerId) {
-    const stats = Stats.getPlayerStats(this.playerHistory, playerId);
-    if (!stats) {
+    const summary = PlayerIndex.get(playerId);
+    const stats = Stats.getPlayerStats(this.playerHistory, playerId) || {
+      ranks: [],
+      timestamps: [],
+      totalChange: 0,
+    };
+    const header = summary || stats;
+    if (!summary && stats.ranks.length === 0) {
       console.error("Player not found:", playerId);
       return;
     }
@@ -88,9 +117,9 @@ const PlayerModal = {
     if (typeof gtag === "function") {
       gtag("event", "player_click", {
         event_category: "engagement",
-        event_label: stats.name,
+        event_label: header.name,
         player_id: playerId,
-        player_rank: stats.currentRank,
+        player_rank: header.currentRank,
       });
     }
 
@@ -106,33 +135,33 @@ const PlayerModal = {
     // Update modal content with team prefix and flag
     const nameEl = document.getElementById("modal-player-name");
     const teamEl = document.getElementById("modal-player-team");
-    const flagUrl = Stats.getFlagUrl(stats.country);
+    const flagUrl = Stats.getFlagUrl(header.country);
 
     // Build name with team prefix (Team.Name format)
-    const teamPrefix = stats.team_tag
+    const teamPrefix = header.team_tag
       ? `<span class="modal-team-prefix">${this.escapeHtml(
-          stats.team_tag,
+          header.team_tag,
         )}.</span>`
       : "";
     const flagHtml = flagUrl
       ? `<img class="player-flag modal-flag" src="${flagUrl}" alt="${
-          stats.country
+          header.country
         }" title="${
-          stats.country?.toUpperCase() || ""
+          header.country?.toUpperCase() || ""
         }" onerror="this.style.display='none'">`
       : "";
 
     nameEl.innerHTML = `${teamPrefix}${this.escapeHtml(
-      stats.name,
-    )} ${flagHtml}`;
-    teamEl.textContent = ""; // Clear the old team display
+      header.name,
+    )} ${flagHtml}${Leaderboard.getRegionBadge(header.region)}`;
+    teamEl.textContent = this.getFormerNamesText(playerId, header.name);
 
     document.getElementById("modal-current-rank").textContent =
-      `#${stats.currentRank}`;
+      header.currentRank ? `#${header.currentRank}` : "Unranked";
     document.getElementById("modal-best-rank").textContent =
-      `#${stats.bestRank}`;
+      `#${header.bestRank}`;
     document.getElementById("modal-worst-rank").textContent =
-      `#${stats.worstRank}`;
+      `#${header.worstRank}`;
 
     // Total change with color
     const totalChangeEl = document.getElementById("modal-total-change");
@@ -147,7 +176,10 @@ const PlayerModal = {
       totalChangeEl.className = "stat-value";
     }
 
-    // Render chart
+    // Render chart (always starts on recent history)
+    this.currentStats = stats;
+    const rangeSelect = document.getElementById("modal-chart-range");
+    if (rangeSelect) rangeSelect.value = "recent";
     this.renderChart(stats);
 
     // Render team history
@@ -158,6 +190,40 @@ const PlayerModal = {
     document.body.style.overflow = "hidden";
   },
 
+  /**
+   * Re-render the chart for another range, loading the archive if needed
+   */
+  async changeChartRange(value) {
+    const playerId = this.currentPlayerId;
+    if (!playerId) return;
+
+    if (value === "recent" || !this.getRangeSnapshots) {
+      this.renderChart(this.currentStats);
+      return;
+    }
+
+    try {
+      const snapshots = await this.getRangeSnapshots(value);
+
+      // Player or range changed while loading
+      if (
+        playerId !== this.currentPlayerId ||
+        document.getElementById("modal-chart-range").value !== value
+      ) {
+        return;
+      }
+
+      const history = Stats.buildPlayerHistory(snapshots);
+      const stats = Stats.getPlayerStats(history, playerId) || {
+        ranks: [],
+        timestamps: [],
+      };
+      this.renderChart(stats);
+    } catch (error) {
+      console.error("Failed to load chart range:", error);
+    }
+  },
+
   /**
    * Render team history section
    */
@@ -170,7 +236,13 @@ const PlayerModal = {
       return;
     }
 
-    const teamHistory = Stats.getPlayerTeamHistory(this.snapshots, playerId);
+    // The index covers the archive too and saves a pass over the snapshots
+    const summary = PlayerIndex.get(playerId);
+    const teamHistory = summary
+      ? summary.teams.filter(
+          (entry, i, teams) => i === 0 || entry.team !== teams[i - 1].team,
+        )
+      : Stats.getPlayerTeamHistory(this.snapshots, playerId);
 
     // Only show if there's been at least one team change (more than 1 entry)
     if (teamHistory.length <= 1) {
@@ -215,6 +287,20 @@ const PlayerModal = {
       .join("");
   },
 
+  /**
+   * Describe the other names a player has used
+   */
+  getFormerNamesText(playerId, currentName) {
+    const summary = PlayerIndex.get(playerId);
+    const identity = this.identities[playerId];
+    const names = summary ? summary.aliases : identity ? identity.names : [];
+
+    const formerNames = names.filter((name) => name !== currentName);
+    return formerNames.length > 0
+      ? `formerly known as ${formerNames.join(", ")}`
+      : "";
+  },
+
   /**
    * Escape HTML for safe display
    */
@@ -246,6 +332,54 @@ const PlayerModal = {
     }
   },
 
+  /**
+   * Build the chart markers for the player's region moves
+   * A move is marked on the first snapshot in the new region, or the last
+   * one in the old region.
+   * @returns {Object|null} Chart dataset, null when no move is in range
+   */
+  getMoveMarkers(stats) {
+    const times = stats.timestamps.map((ts) => new Date(ts).getTime());
+    // Snapshots may be up to a day apart (archive), and World ones are dated
+    // at the newest region, so a move just outside the range still counts
+    const slackMs = 24 * 60 * 60 * 1000;
+    const data = times.map(() => null);
+    const moveLabels = times.map(() => null);
+    let marked = false;
+
+    for (const { move, side, timestamp } of Migrations.getPlayerMoves(
+      this.currentPlayerId,
+    )) {
+      const time = new Date(timestamp).getTime();
+      const index =
+        side === "to"
+          ? times.findIndex((t) => t >= time)
+          : times.findLastIndex((t) => t <= time);
+      if (index === -1 || Math.abs(times[index] - time) > slackMs) continue;
+      const otherId = side === "to" ? move.from : move.to;
+      const other = Regions.get(otherId);
+      const otherName = other ? other.fullName : otherId;
+
+      data[index] = stats.ranks[index];
+      moveLabels[index] =
+        side === "to" ? `Arrived from ${otherName}` : `Moved to ${otherName}`;
+      marked = true;
+    }
+
+    if (!marked) return null;
+    return {
+      label: "Region move",
+      data,
+      moveLabels,
+      showLine: false,
+      pointStyle: "rectRot",
+      pointRadius: 7,
+      pointHoverRadius: 8,
+      borderColor: "#ffd700",
+      backgroundColor: "#ffd700",
+    };
+  },
+
   /**
    * Render the rank history chart
    */
@@ -269,23 +403,27 @@ const PlayerModal = {
       });
     });
 
+    const datasets = [
+      {
+        label: "Rank",
+        data: stats.ranks,
+        borderColor: "#e94560",
+        backgroundColor: "rgba(233, 69, 96, 0.1)",
+        borderWidth: 2,
+        fill: true,
+        tension: 0.3,
+        pointRadius: stats.ranks.length > 50 ? 0 : 3,
+        pointHoverRadius: 5,
+      },
+    ];
+    const moves = this.getMoveMarkers(stats);
+    if (moves) datasets.push(moves);
+
     this.chart = new Chart(ctx, {
       type: "line",
       data: {
         labels: labels,
-        datasets: [
-          {
-            label: "Rank",
-            data: stats.ranks,
-            borderColor: "#e94560",
-            backgroundColor: "rgba(233, 69, 96, 0.1)",
-            borderWidth: 2,
-            fill: true,
-            tension: 0.3,
-            pointRadius: stats.ranks.length > 50 ? 0 : 3,
-            pointHoverRadius: 5,
-          },
-        ],
+        datasets,
       },
       options: {
         responsive: true,
@@ -306,12 +444,17 @@ const PlayerModal = {
             borderWidth: 1,
             padding: 12,
             displayColors: false,
+            filter: function (item) {
+              return item.raw !== null;
+            },
             callbacks: {
               title: function (context) {
                 return context[0].label;
               },
               label: function (context) {
-                return `Rank: #${context.raw}`;
+                return context.dataset.moveLabels
+                  ? context.dataset.moveLabels[context.dataIndex]
+                  : `Rank: #${context.raw}`;
               },
             },
           },
@@ -0,0 +1,126 @@
+/**
+ * Region configuration
+ * The single list of leaderboard regions, read by the web app,
+ * scripts/fetch-leaderboard.js and scripts/extract-history.js.
+ * Adding or disabling a region is an edit to `list` only.
+ */
+
+const Regions = {
+  // id        - used in URLs and file names (leaderboard/<id>.json, history-<id>.json)
+  // division  - division name in the Dota 2 leaderboard API
+  // name      - short display name (region pills)
+  // fullName  - long display name (labels, accessibility)
+  // badge     - short label next to players in the World view
+  // sortOrder - position in the region selector
+  // default   - shown on a first visit
+  // enabled   - disabled regions are not fetched, extracted or shown
+  // bandDepth - last rank fetched past the top 500 into
+  //             leaderboard/<id>.bands.json and extracted as rank bands
+  //             (null = no bands); that file is committed with every fetch,
+  //             so only set it where the deep ranks are wanted
+  list: [
+    {
+      id: "americas",
+      division: "americas",
+      name: "Americas",
+      fullName: "Americas",
+      badge: "AM",
+      sortOrder: 1,
+      default: false,
+      enabled: true,
+      bandDepth: null,
+    },
+    {
+      id: "europe",
+      division: "europe",
+      name: "Europe",
+      fullName: "Europe",
+      badge: "EU",
+      sortOrder: 2,
+      default: true,
+      enabled: true,
+      bandDepth: 2000,
+    },
+    {
+      id: "sea",
+      division: "se_asia",
+      name: "SE Asia",
+      fullName: "Southeast Asia",
+      badge: "SEA",
+      sortOrder: 3,
+      default: false,
+      enabled: true,
+      bandDepth: null,
+    },
+    {
+      id: "china",
+      division: "china",
+      name: "China",
+      fullName: "China",
+      badge: "CN",
+      sortOrder: 4,
+      default: false,
+      enabled: true,
+      bandDepth: null,
+    },
+  ],
+
+  // Cross-region view: the top of every enabled region on one timeline,
+  // built by scripts/extract-history.js (see scripts/lib/world.js). Shown
+  // after the regions in the selector, never fetched itself.
+  world: {
+    id: "world",
+    name: "World",
+    fullName: "World",
+    enabled: true,
+  },
+
+  /**
+   * Get the enabled regions in selector order
+   */
+  getEnabled() {
+    return this.list
+      .filter((region) => region.enabled)
+      .sort((a, b) => a.sortOrder - b.sortOrder);
+  },
+
+  /**
+   * Get an enabled region by id, or null
+   */
+  get(id) {
+    return this.getEnabled().find((region) => region.id === id) || null;
+  },
+
+  /**
+   * Get the selectable views: the enabled regions, then World (when there
+   * is more than one region to merge)
+   */
+  getViews() {
+    const enabled = this.getEnabled();
+    return this.world.enabled && enabled.length > 1
+      ? [...enabled, this.world]
+      : enabled;
+  },
+
+  /**
+   * Get a selectable view (an enabled region or World) by id, or null
+   */
+  getView(id) {
+    return this.getViews().find((view) => view.id === id) || null;
+  },
+
+  /**
+   * Get the region shown on a first visit
+   */
+  getDefault() {
+    const enabled = this.getEnabled();
+    return enabled.find((region) => region.default) || enabled[0];
+  },
+};
+
+// Export for use in other modules (browser) and the scripts (Node)
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = Regions;
+} else {
+  window.Regions = Regions;
+}
@@ -4,6 +4,8 @@
  */
 
 const Stats = {
+  aliases: {}, // Old player key -> canonical ID (see setIdentities)
+
   /**
    * Filter snapshots to only include those within a time period
    * @param {Array} snapshots - All snapshots
@@ -18,12 +20,44 @@ const Stats = {
     return snapshots.filter((s) => new Date(s.timestamp) >= cutoff);
   },
 
+  /**
+   * Filter snapshots to the last days before the newest snapshot
+   * Unlike filterSnapshotsByTime this doesn't depend on when it runs, so the
+   * precomputed windows (scripts/extract-history.js) don't move with the age
+   * of the build.
+   * @param {Array} snapshots - All snapshots, oldest to newest
+   * @param {number} days - Number of days to include (0 = all time)
+   */
+  filterSnapshotsByNewest(snapshots, days) {
+    if (days === 0 || !snapshots.length) return snapshots;
+
+    const newest = new Date(snapshots[snapshots.length - 1].timestamp);
+    const cutoff = new Date(newest.getTime() - days * 24 * 60 * 60 * 1000);
+
+    return snapshots.filter((s) => new Date(s.timestamp) >= cutoff);
+  },
+
+  /**
+   * Register renamed players so their old keys resolve to the canonical ID
+   * @param {Object} identities - Canonical ID -> { names, keys }
+   */
+  setIdentities(identities) {
+    this.aliases = {};
+    for (const [id, identity] of Object.entries(identities || {})) {
+      for (const key of identity.keys) {
+        if (key !== id) this.aliases[key] = id;
+      }
+    }
+  },
+
   /**
    * Generate a unique player ID
-   * Uses name|country only (not team) so team changes don't split history
+   * Uses name|country only (not team) so team changes don't split history,
+   * mapped to the canonical ID when the player was renamed
    */
   getPlayerId(player) {
-    return player.id || `${player.name}|${player.country || ""}`;
+    const id = player.id || `${player.name}|${player.country || ""}`;
+    return this.aliases[id] || id;
   },
 
   /**
@@ -46,6 +80,7 @@ const Stats = {
             team_tag: player.team_tag,
             team_id: player.team_id,
             country: player.country,
+            region: player.region, // World view only
             ranks: [],
           };
         }
@@ -56,6 +91,7 @@ const Stats = {
         });
 
         // Update to latest values (including null for team if player left)
+        history[playerId].name = player.name;
         history[playerId].team_tag = player.team_tag || null;
         history[playerId].team_id = player.team_id || null;
         if (player.country) {
@@ -106,6 +142,7 @@ const Stats = {
           name: data.name,
           team_tag: data.team_tag,
           country: data.country,
+          region: data.region,
           firstRank,
           lastRank,
           change,
@@ -155,6 +192,7 @@ const Stats = {
           name: data.name,
           team_tag: data.team_tag,
           country: data.country,
+          region: data.region,
           firstRank,
           lastRank,
           change,
@@ -246,6 +284,7 @@ const Stats = {
       name: data.name,
       team_tag: data.team_tag,
       country: data.country,
+      region: data.region,
       currentRank,
       bestRank,
       worstRank,
@@ -265,35 +304,80 @@ const Stats = {
     return `https://community.fastly.steamstatic.com/public/images/countryflags/${country.toLowerCase()}.gif`;
   },
 
+  /**
+   * Find the team that carried a tag at a given time
+   * @param {Object} teams - Team registry (teams-<region>.json `teams`)
+   * @returns {string|null} team_id, null when no team (or several) did
+   */
+  getTeamIdByTag(teams, tag, timestamp) {
+    if (!teams || !tag) return null;
+
+    const time = new Date(timestamp).getTime();
+    const matches = Object.keys(teams).filter((teamId) =>
+      teams[teamId].tags.some(
+        (entry) =>
+          entry.tag === tag &&
+          new Date(entry.from).getTime() <= time &&
+          time <= new Date(entry.to).getTime()
+      )
+    );
+    return matches.length === 1 ? matches[0] : null;
+  },
+
+  /**
+   * Check whether a team change is the team renaming its tag
+   * The same team_id on both sides is a rebrand. A side without a team_id
+   * (older snapshots) is looked up by its tag in the team registry.
+   * @param {Object} teams - Team registry, optional
+   */
+  isRebrand(change, teams = null) {
+    const fromId =
+      change.fromTeamId ??
+      this.getTeamIdByTag(teams, change.fromTeam, change.fromTimestamp);
+    const toId =
+      change.toTeamId ??
+      this.getTeamIdByTag(teams, change.toTeam, change.timestamp);
+    return Boolean(fromId) && String(fromId) === String(toId);
+  },
+
   /**
    * Detect team changes within a time period
+   * Each change is a "transfer" (the player changed teams) or a "rebrand"
+   * (their team changed its tag, see isRebrand).
    * @param {Array} snapshots - All snapshots
    * @param {number} timeDays - Time period in days
+   * @param {Object} teams - Team registry (teams-<region>.json `teams`),
+   *   optional
    * @returns {Array} Array of team change events
    */
-  getTeamChanges(snapshots, timeDays = 0) {
+  getTeamChanges(snapshots, timeDays = 0, teams = null) {
     const filteredSnapshots = this.filterSnapshotsByTime(snapshots, timeDays);
     if (filteredSnapshots.length < 2) return [];
 
     // Track each player's team over time
-    const playerTeams = {}; // playerId -> { firstTeam, firstTimestamp, lastTeam, lastTimestamp, name, country }
+    const playerTeams = {}; // playerId -> { firstTeam, firstTeamId, firstTimestamp, lastTeam, ... }
 
     for (const snapshot of filteredSnapshots) {
       for (const player of snapshot.players) {
         const playerId = this.getPlayerId(player);
         const teamTag = player.team_tag || null;
+        const teamId = player.team_id || null;
 
         if (!playerTeams[playerId]) {
           playerTeams[playerId] = {
             name: player.name,
             country: player.country,
+            region: player.region,
             firstTeam: teamTag,
+            firstTeamId: teamId,
             firstTimestamp: snapshot.timestamp,
             lastTeam: teamTag,
+            lastTeamId: teamId,
             lastTimestamp: snapshot.timestamp,
           };
         } else {
           playerTeams[playerId].lastTeam = teamTag;
+          playerTeams[playerId].lastTeamId = teamId;
           playerTeams[playerId].lastTimestamp = snapshot.timestamp;
           // Update name/country to latest
           playerTeams[playerId].name = player.name;
@@ -305,15 +389,26 @@ const Stats = {
     // Find players whose team changed
     const changes = [];
     for (const [playerId, data] of Object.entries(playerTeams)) {
-      if (data.firstTeam !== data.lastTeam) {
-        changes.push({
+      // Two teams can share a tag, so a new team_id counts as well
+      const movedTeams =
+        data.firstTeamId &&
+        data.lastTeamId &&
+        data.firstTeamId !== data.lastTeamId;
+      if (data.firstTeam !== data.lastTeam || movedTeams) {
+        const change = {
           id: playerId,
           name: data.name,
           country: data.country,
+          region: data.region,
           fromTeam: data.firstTeam,
+          fromTeamId: data.firstTeamId,
+          fromTimestamp: data.firstTimestamp,
           toTeam: data.lastTeam,
+          toTeamId: data.lastTeamId,
           timestamp: data.lastTimestamp,
-        });
+        };
+        change.type = this.isRebrand(change, teams) ? "rebrand" : "transfer";
+        changes.push(change);
       }
     }
 
@@ -354,5 +449,10 @@ const Stats = {
     return teamHistory;
   },
 };
-// Export for use in other modules
-window.Stats = Stats;
+
+// Export for use in other modules (browser) and the extraction script (Node)
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = Stats;
+} else {
+  window.Stats = Stats;
+}
@@ -0,0 +1,44 @@
+/**
+ * Team registry
+ * Loads data/teams-<region>.json, every team_id with its tag history and
+ * roster (see scripts/lib/teams.js), so team changes can tell a rebrand from
+ * a transfer. Without it, only the snapshots' own team_ids are compared.
+ */
+
+const Teams = {
+  region: null,
+  teams: null, // team_id -> { tags, roster }
+
+  /**
+   * Load the team registry of a region (null when there is none)
+   */
+  async load(region) {
+    this.region = region;
+    this.teams = null;
+
+    try {
+      const response = await fetch(`data/teams-${region}.json`);
+      if (!response.ok) return;
+      const data = await response.json();
+
+      // Region switched while loading
+      if (region !== this.region) return;
+
+      this.teams = data.teams || null;
+    } catch (error) {
+      console.warn("Team registry not available:", error);
+    }
+  },
+
+  /**
+   * Get a team's tags, oldest first
+   * @returns {Array} [{ tag, from, to }], empty when the team is unknown
+   */
+  getTags(teamId) {
+    const team = this.teams && teamId ? this.teams[teamId] : null;
+    return team ? team.tags : [];
+  },
+};
+
+// Export for use in other modules
+window.Teams = Teams;
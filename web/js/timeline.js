@@ -8,6 +8,8 @@ const Timeline = {
   startLabel: null,
   endLabel: null,
   currentTimeDisplay: null,
+  resolutionDisplay: null,
+  fetchedDisplay: null,
 
   snapshots: [],
   currentIndex: 0,
@@ -16,6 +18,7 @@ const Timeline = {
   speed: 2, // snapshots per second
 
   onSnapshotChange: null, // Callback when snapshot changes
+  onReachStart: null, // Callback when the first snapshot is reached (load older history)
 
   keydownHandler: null, // Store reference to remove listener on re-init
   initialized: false,
@@ -39,6 +42,8 @@ const Timeline = {
     this.startLabel = document.getElementById("timeline-start");
     this.endLabel = document.getElementById("timeline-end");
     this.currentTimeDisplay = document.getElementById("current-time");
+    this.resolutionDisplay = document.getElementById("timeline-resolution");
+    this.fetchedDisplay = document.getElementById("timeline-fetched");
 
     // Configure slider
     this.slider.min = 0;
@@ -147,9 +152,34 @@ const Timeline = {
           previousSnapshot,
         );
       }
+
+      this.checkReachedStart();
     }
   },
 
+  /**
+   * Notify when the first snapshot is shown so older history can be loaded
+   */
+  checkReachedStart() {
+    if (this.currentIndex === 0 && this.onReachStart) {
+      this.onReachStart();
+    }
+  },
+
+  /**
+   * Prepend older snapshots while keeping the current position
+   */
+  prependSnapshots(older) {
+    if (older.length === 0) return;
+
+    this.snapshots = older.concat(this.snapshots);
+    this.currentIndex += older.length;
+
+    this.slider.max = this.snapshots.length - 1;
+    this.slider.value = this.currentIndex;
+    this.startLabel.textContent = this.formatDate(this.snapshots[0].timestamp);
+  },
+
   /**
    * Toggle play/pause
    */
@@ -260,9 +290,50 @@ const Timeline = {
       this.currentTimeDisplay.textContent = this.formatDateTime(
         snapshot.timestamp,
       );
+      this.updateResolutionDisplay(snapshot);
+      this.updateFetchedDisplay(snapshot);
     }
   },
 
+  /**
+   * Show when a snapshot was fetched next to its API post time
+   */
+  updateFetchedDisplay(snapshot) {
+    if (!this.fetchedDisplay) return;
+
+    const fetchedAt = snapshot.fetchedAt;
+    if (!fetchedAt) {
+      this.fetchedDisplay.textContent = "";
+      this.fetchedDisplay.classList.add("hidden");
+      return;
+    }
+
+    const sameDay =
+      new Date(fetchedAt).toISOString().slice(0, 10) ===
+      new Date(snapshot.timestamp).toISOString().slice(0, 10);
+    this.fetchedDisplay.textContent = `fetched ${
+      sameDay ? this.formatTime(fetchedAt) : this.formatDateTime(fetchedAt)
+    }`;
+    this.fetchedDisplay.classList.remove("hidden");
+  },
+
+  /**
+   * Label snapshots sampled coarser than the most recent ones
+   * (older history is thinned out to e.g. one snapshot per day)
+   */
+  updateResolutionDisplay(snapshot) {
+    if (!this.resolutionDisplay) return;
+
+    const latest = this.snapshots[this.snapshots.length - 1];
+    const isCoarse =
+      snapshot.resolution && snapshot.resolution !== latest.resolution;
+
+    this.resolutionDisplay.textContent = isCoarse
+      ? `${snapshot.resolution} snapshots`
+      : "";
+    this.resolutionDisplay.classList.toggle("hidden", !isCoarse);
+  },
+
   /**
    * Format date for labels (short format)
    */
@@ -284,9 +355,17 @@ const Timeline = {
       timeZone: "UTC",
     });
     const day = date.getUTCDate();
+    return `${month} ${day} - ${this.formatTime(isoString)}`;
+  },
+
+  /**
+   * Format time of day for display
+   */
+  formatTime(isoString) {
+    const date = new Date(isoString);
     const hours = date.getUTCHours().toString().padStart(2, "0");
     const minutes = date.getUTCMinutes().toString().padStart(2, "0");
-    return `${month} ${day} - ${hours}:${minutes} UTC`;
+    return `${hours}:${minutes} UTC`;
   },
 
   /**
@@ -321,6 +400,8 @@ const Timeline = {
           previousIndex >= 0 ? this.snapshots[previousIndex] : null;
         this.onSnapshotChange(this.snapshots[index], previousSnapshot);
       }
+
+      this.checkReachedStart();
     }
   },
 